@@ -4,13 +4,67 @@ const { addonBuilder, serveHTTP } = require('stremio-addon-sdk');
 const axios = require('axios');
 const pako = require('pako');
 const { Buffer } = require('buffer');
-const chardet = require('chardet');
-const iconv = require('iconv-lite');
-const { put } = require('@vercel/blob');
-const { createClient } = require('@supabase/supabase-js');
 const { convert: convertWithSubtitleConverter } = require('subtitle-converter');
 const subsrt = require('subsrt');
-const sanitize = require('sanitize-html');
+const { createStorage, contentTypeForKey, sanitizeKey, MERGED_ROUTE_PREFIX } = require('./lib/storage');
+const { attachRoutes } = require('./lib/routes');
+const { buildCacheKey, buildVariantKey, buildOptionsKey, createResultCache } = require('./lib/cache');
+const { formatMsToTime } = require('./lib/time');
+const { alignSubtitles } = require('./lib/align');
+const { parseReleaseName, scoreReleaseMatch } = require('./lib/release');
+const { measurePairAlignment, scoreCandidatePair } = require('./lib/scoring');
+const { createTaskPool, waitUntil, createCoalescer } = require('./lib/concurrency');
+const { createRateLimiter } = require('./lib/ratelimit');
+const { isProviderFailure, createHealthTracker, withHealthTracking } = require('./lib/health');
+const { decodeSubtitleBuffer } = require('./lib/encoding');
+const { publicOnlyRequestOptions } = require('./lib/network');
+const { summarizeAlignment, createDiagnostics, currentDiagnostics } = require('./lib/diagnostics');
+const {
+    CLEANUP_TARGET_OPTIONS,
+    DEFAULT_CLEANUP_CONFIG,
+    parseCleanupConfig,
+    cleanupTrack,
+    looksHearingImpaired,
+    preferCleanCandidates
+} = require('./lib/cleanup');
+const { createTranslator } = require('./lib/translate');
+const { READING_SCHEMES, createReadingAnnotator } = require('./lib/reading');
+const { hasFrequencyList, listFrequencyLanguages, loadFrequencyList } = require('./lib/frequency');
+const { EXPORT_FORMATS, buildPairsKey, toPairs } = require('./lib/export');
+const {
+    SUPPORTED_SUBTITLE_FORMATS,
+    createStremioAddonProvider,
+    parseSubtitleSources,
+    createFallbackProvider,
+    createProviderRegistry
+} = require('./lib/providers');
+const { parseOpenSubtitlesLogin, buildAccountKey, createOpenSubtitlesComProvider } = require('./lib/opensubtitles');
+const {
+    OUTPUT_FORMAT_OPTIONS,
+    TRANSLATION_POSITION_OPTIONS,
+    COLOR_OPTIONS,
+    FONT_SIZE_OPTIONS,
+    DEFAULT_STYLE_CONFIG,
+    parseStyleConfig,
+    formatAss,
+    formatVtt
+} = require('./lib/formats');
+const {
+    TOP_LINE_OPTIONS,
+    EMPHASIS_OPTIONS,
+    SEPARATOR_OPTIONS,
+    UNMATCHED_MAIN_OPTIONS,
+    TRANSLATION_FALLBACK_OPTIONS,
+    READING_AID_OPTIONS,
+    JAPANESE_READING_OPTIONS,
+    DIFFICULTY_THRESHOLD_OPTIONS,
+    TRANSLATION_REVEAL_OPTIONS,
+    DEFAULT_LAYOUT_CONFIG,
+    parseLayoutConfig,
+    cleanCueText,
+    mergeSubtitles
+} = require('./lib/merge');
+const { languageDirection, cueDirections } = require('./lib/bidi');
 
 const languageMap = {
     'abk': 'Abkhazian', 'afr': 'Afrikaans', 'alb': 'Albanian', 'amh': 'Amharic', 'ara': 'Arabic',
@@ -39,17 +93,59 @@ const languageMap = {
 
 const languageOptions = Object.entries(languageMap).map(([code, name]) => `${name} [${code}]`);
 
+// The configuration page preselects the first option of a select, so a default naming it is
+// left out of the manifest (which has to stay under 8kb); configurations without the setting
+// get the same default when they are parsed
+function withoutFirstOptionDefault(field) {
+    if (field.type !== 'select' || field.default !== field.options[0]) {
+        return field;
+    }
+    const { default: _firstOption, ...rest } = field;
+    return rest;
+}
+
 // OpenSubtitles API base URL
 const OPENSUBS_API_URL = 'https://rest.opensubtitles.org';
 
 // Configuration
 const ADDON_PORT = process.env.PORT || 7000;
 
-// Rate limiting
-const requestQueue = [];
-const MAX_REQUESTS_PER_MINUTE = 40; // OpenSubtitles limit
-let requestsThisMinute = 0;
-let requestTimer = null;
+// Tri-subs: at most this many second translation candidates are downloaded per request,
+// stopping early at the first one whose alignment confidence reaches GOOD_ALIGNMENT_CONFIDENCE
+const MAX_SECOND_TRANS_ATTEMPTS = 3;
+const GOOD_ALIGNMENT_CONFIDENCE = 0.5;
+
+// Translation candidates downloaded and scored against the main subtitle per request,
+// and how many of the best ones are merged and returned
+const MAX_SCORED_TRANSLATION_CANDIDATES = 6;
+const MAX_TRANSLATION_VARIANTS = 4;
+// Usable main candidates scored against the first translation candidate; the best one is used
+// for every variant, so a popular main subtitle that is out of sync with the translations loses
+const MAX_SCORED_MAIN_CANDIDATES = 2;
+
+// Subtitle downloads running at the same time per request
+const MAX_PARALLEL_DOWNLOADS = parseInt(process.env.MAX_PARALLEL_DOWNLOADS, 10) || 3;
+// Time budget of a subtitle request. Variants not merged by then are left out of the response
+// and finish in the background; the partial response is only cached briefly so Stremio asks again.
+const RESPONSE_DEADLINE_MS = parseInt(process.env.RESPONSE_DEADLINE_MS, 10) || 15000;
+const PARTIAL_RESULT_CACHE_MAX_AGE = 60;
+
+// The /debug dry run route is only served with DEBUG_ROUTES=true
+const DEBUG_ROUTES = process.env.DEBUG_ROUTES === 'true';
+
+// Main languages rare words can be highlighted for; the setting is hidden when no list is installed
+const FREQUENCY_LANGUAGES = listFrequencyLanguages();
+
+// Users can add their own Stremio subtitle addons only when the server turns it on, since the
+// server fetches the URLs they enter (non-public addresses are refused even then)
+const ALLOW_USER_SUBTITLE_SOURCES = process.env.ALLOW_USER_SUBTITLE_SOURCES === 'true';
+
+// Rate limiting: one token bucket per upstream host (see lib/ratelimit.js)
+const RATE_LIMIT_MAX_RETRIES = parseInt(process.env.RATE_LIMIT_MAX_RETRIES, 10);
+const rateLimiter = createRateLimiter({
+    maxQueueWaitMs: parseInt(process.env.RATE_LIMIT_MAX_WAIT_MS, 10) || undefined,
+    maxRetries: Number.isFinite(RATE_LIMIT_MAX_RETRIES) ? RATE_LIMIT_MAX_RETRIES : undefined
+});
 
 // Create a new addon builder
 const builder = new addonBuilder({
@@ -75,7 +171,7 @@ const builder = new addonBuilder({
         {
             key: 'mainLang',
             type: 'select',
-            title: 'Main Language (Audio Language)',
+            title: 'Main Language (audio)',
             options: languageOptions,
             required: true,
             default: 'English [eng]'
@@ -83,14 +179,186 @@ const builder = new addonBuilder({
         {
             key: 'transLang',
             type: 'select',
-            title: 'Translation Language (Your Language)',
+            title: 'Translation Language (yours)',
             options: languageOptions,
             required: true,
             default: 'Turkish [tur]'
+        },
+        {
+            // A third copy of the language list would push the manifest over the 8kb limit,
+            // so the optional second translation is entered as a language code
+            key: 'secondTransLang',
+            type: 'text',
+            title: 'Second Translation Language code (optional, e.g. ger)'
+        },
+        ...(ALLOW_USER_SUBTITLE_SOURCES ? [{
+            key: 'subtitleSources',
+            type: 'text',
+            title: 'Extra Subtitle Addons (optional, see README)'
+        }] : []),
+        {
+            key: 'opensubtitlesApiKey',
+            type: 'text',
+            title: 'OpenSubtitles.com API Key (optional)'
+        },
+        {
+            key: 'opensubtitlesLogin',
+            type: 'password',
+            title: 'OpenSubtitles.com Login (optional, username:password, kept in the addon URL)'
+        },
+        {
+            key: 'topLine',
+            type: 'select',
+            title: 'Line On Top',
+            options: Object.keys(TOP_LINE_OPTIONS),
+            default: DEFAULT_LAYOUT_CONFIG.topLine
+        },
+        {
+            key: 'mainEmphasis',
+            type: 'select',
+            title: 'Main Emphasis',
+            options: Object.keys(EMPHASIS_OPTIONS),
+            default: DEFAULT_LAYOUT_CONFIG.mainEmphasis
+        },
+        {
+            key: 'translationEmphasis',
+            type: 'select',
+            title: 'Translation Emphasis',
+            options: Object.keys(EMPHASIS_OPTIONS),
+            default: DEFAULT_LAYOUT_CONFIG.translationEmphasis
+        },
+        {
+            key: 'separator',
+            type: 'select',
+            title: 'Separator',
+            options: Object.keys(SEPARATOR_OPTIONS),
+            default: DEFAULT_LAYOUT_CONFIG.separator
+        },
+        {
+            key: 'unmatchedMain',
+            type: 'select',
+            title: 'Main Lines Without Translation',
+            options: Object.keys(UNMATCHED_MAIN_OPTIONS),
+            default: DEFAULT_LAYOUT_CONFIG.unmatchedMain
+        },
+        {
+            key: 'translationFallback',
+            type: 'select',
+            title: 'Translation Lines Without Main Line',
+            options: Object.keys(TRANSLATION_FALLBACK_OPTIONS),
+            default: DEFAULT_LAYOUT_CONFIG.translationFallback
+        },
+        {
+            key: 'translationReveal',
+            type: 'select',
+            title: 'Show Translation (guess first)',
+            options: Object.keys(TRANSLATION_REVEAL_OPTIONS),
+            default: DEFAULT_LAYOUT_CONFIG.translationReveal
+        },
+        {
+            key: 'readingAid',
+            type: 'select',
+            title: 'Reading Aid (Japanese, Chinese, Korean)',
+            options: Object.keys(READING_AID_OPTIONS),
+            default: DEFAULT_LAYOUT_CONFIG.readingAid
+        },
+        {
+            key: 'japaneseReading',
+            type: 'select',
+            title: 'Japanese Reading',
+            options: Object.keys(JAPANESE_READING_OPTIONS),
+            default: DEFAULT_LAYOUT_CONFIG.japaneseReading
+        },
+        ...(FREQUENCY_LANGUAGES.length > 0 ? [{
+            key: 'difficultyThreshold',
+            type: 'select',
+            title: 'Highlight Rare Words',
+            options: Object.keys(DIFFICULTY_THRESHOLD_OPTIONS),
+            default: DEFAULT_LAYOUT_CONFIG.difficultyThreshold
+        }] : []),
+        {
+            key: 'removeSoundEffects',
+            type: 'select',
+            title: 'Remove Sound Effects From',
+            options: Object.keys(CLEANUP_TARGET_OPTIONS),
+            default: DEFAULT_CLEANUP_CONFIG.removeSoundEffects
+        },
+        {
+            key: 'removeMusic',
+            type: 'select',
+            title: 'Remove Music Lines From',
+            options: Object.keys(CLEANUP_TARGET_OPTIONS),
+            default: DEFAULT_CLEANUP_CONFIG.removeMusic
+        },
+        {
+            key: 'removeSpeakerLabels',
+            type: 'select',
+            title: 'Remove Speaker Names From',
+            options: Object.keys(CLEANUP_TARGET_OPTIONS),
+            default: DEFAULT_CLEANUP_CONFIG.removeSpeakerLabels
+        },
+        {
+            key: 'removeTags',
+            type: 'select',
+            title: 'Remove Tags ({\\an8}) From',
+            options: Object.keys(CLEANUP_TARGET_OPTIONS),
+            default: DEFAULT_CLEANUP_CONFIG.removeTags
+        },
+        {
+            key: 'outputFormat',
+            type: 'select',
+            title: 'Format (styles below need ASS or WebVTT)',
+            options: Object.keys(OUTPUT_FORMAT_OPTIONS),
+            default: DEFAULT_STYLE_CONFIG.outputFormat
+        },
+        {
+            key: 'translationPosition',
+            type: 'select',
+            title: 'Translation Position',
+            options: Object.keys(TRANSLATION_POSITION_OPTIONS),
+            default: DEFAULT_STYLE_CONFIG.translationPosition
+        },
+        {
+            key: 'mainColor',
+            type: 'select',
+            title: 'Main Color',
+            options: Object.keys(COLOR_OPTIONS),
+            default: DEFAULT_STYLE_CONFIG.mainColor
+        },
+        {
+            key: 'translationColor',
+            type: 'select',
+            title: 'Translation Color',
+            options: Object.keys(COLOR_OPTIONS),
+            default: DEFAULT_STYLE_CONFIG.translationColor
+        },
+        {
+            key: 'mainFontSize',
+            type: 'select',
+            title: 'Main Font Size',
+            options: Object.keys(FONT_SIZE_OPTIONS),
+            default: DEFAULT_STYLE_CONFIG.mainFontSize
+        },
+        {
+            key: 'translationFontSize',
+            type: 'select',
+            title: 'Translation Font Size',
+            options: Object.keys(FONT_SIZE_OPTIONS),
+            default: DEFAULT_STYLE_CONFIG.translationFontSize
         }
-    ]
+    ].map(withoutFirstOptionDefault)
 });
 
+// Configuration without the OpenSubtitles credentials, for logging
+function redactConfig(config) {
+    if (!config) return config;
+    const redacted = { ...config };
+    for (const key of ['opensubtitlesApiKey', 'opensubtitlesLogin']) {
+        if (redacted[key]) redacted[key] = '***';
+    }
+    return redacted;
+}
+
 function parseLangCode(lang) {
     if (!lang) {
         return lang;
@@ -101,156 +369,282 @@ function parseLangCode(lang) {
         return match[1];
     }
 
+    // Bare language names, as configurations saved while the options had no codes carry them
+    const code = Object.keys(languageMap).find(key => languageMap[key].toLowerCase() === lang.toLowerCase());
+    if (code) {
+        return code;
+    }
 
     return lang;
 }
 
-// Reset the rate limit counter every minute
-function setupRateLimitReset() {
-    requestTimer = setInterval(() => {
-        requestsThisMinute = 0;
-        
-        // Process any queued requests
-        while (requestsThisMinute < MAX_REQUESTS_PER_MINUTE && requestQueue.length > 0) {
-            const { resolve, reject, fn } = requestQueue.shift();
-            executeWithRateLimit(fn, resolve, reject);
+// Splits a Stremio id (tt12345 or tt12345:1:2 for series) into its IMDB ID, season and episode
+function parseMediaId(id, extra) {
+    let imdbId = extra?.imdbId || id;
+    let season = extra?.season;
+    let episode = extra?.episode;
+
+    // Handle combined series ID format (e.g., tt12345:1:2)
+    if (imdbId && imdbId.includes(':')) {
+        const parts = imdbId.split(':');
+        imdbId = parts[0];
+        if (parts.length >= 3) {
+            season = season || parts[1];
+            episode = episode || parts[2];
         }
-    }, 60 * 1000);
-    
-    // Prevent the timer from keeping the process alive
-    requestTimer.unref();
-}
-
-// Execute a function with rate limiting
-function executeWithRateLimit(fn, resolve, reject) {
-    if (requestsThisMinute < MAX_REQUESTS_PER_MINUTE) {
-        requestsThisMinute++;
-        
-        Promise.resolve()
-            .then(fn)
-            .then(resolve)
-            .catch(reject);
-    } else {
-        // Queue the request for the next minute
-        requestQueue.push({ resolve, reject, fn });
-        console.log(`Rate limit reached. Queued request. Queue size: ${requestQueue.length}`);
     }
+
+    return { imdbId, season, episode };
 }
 
-// Wrap a function with rate limiting
-function withRateLimit(fn) {
-    // Initialize the rate limit timer if not already done
-    if (!requestTimer) {
-        setupRateLimitReset();
+// Rolling error rate, latency and circuit state of every subtitle provider (see lib/health.js)
+const providerHealth = createHealthTracker();
+
+// Runs a request to url once its host's rate limit allows it, retrying 429 and 5xx responses.
+// Dry runs (see lib/diagnostics.js) record every attempt and every request the limiter refused.
+function withRateLimit(url, fn) {
+    const diagnostics = currentDiagnostics();
+    if (!diagnostics) {
+        return rateLimiter.schedule(url, fn);
     }
-    
-    return new Promise((resolve, reject) => {
-        executeWithRateLimit(fn, resolve, reject);
+    const tracedRequest = async () => {
+        const startedAt = Date.now();
+        try {
+            const response = await fn();
+            diagnostics.recordRequest(url, { status: response.status, ms: Date.now() - startedAt });
+            return response;
+        } catch (error) {
+            diagnostics.recordRequest(url, {
+                status: error.response ? error.response.status : null,
+                error: error.message,
+                ms: Date.now() - startedAt
+            });
+            throw error;
+        }
+    };
+    return rateLimiter.schedule(url, tracedRequest).catch(error => {
+        if (error.code === 'RATE_LIMITED') {
+            diagnostics.recordRequest(url, { status: null, error: error.message });
+        }
+        throw error;
     });
 }
 
-// --- Helper Function to Fetch and Select Subtitle ---
-async function fetchAndSelectSubtitle(languageId, baseSearchParams, type) {
-    const supportedFormats = ['dfxp', 'scc', 'srt', 'ttml', 'vtt', 'ssa', 'ass', 'sub', 'sbv', 'smi', 'lrc', 'json'];
-    const searchParams = { ...baseSearchParams, sublanguageid: languageId };
-    const searchUrl = buildSearchUrl(searchParams);
-    console.log(`Searching ${languageId} subtitles at: ${searchUrl}`);
+// Searches OpenSubtitles by the hash and size of the file being played.
+// These subtitles were made for exactly this release, so they are flagged as hash matches.
+async function searchByMovieHash(languageId, baseSearchParams, stream) {
+    // OpenSubtitles expects the search parameters in alphabetical order
+    const hashSearchUrl = buildSearchUrl({
+        moviebytesize: stream.videoSize,
+        moviehash: stream.videoHash,
+        sublanguageid: languageId
+    });
+    console.log(`Searching ${languageId} subtitles by movie hash at: ${hashSearchUrl}`);
 
     try {
-        const response = await withRateLimit(() => {
-            const opensubsResponse = axios.get(searchUrl, {
-                headers: { 'User-Agent': 'TemporaryUserAgent' },
-                timeout: 10000
+        const response = await withRateLimit(hashSearchUrl, () => axios.get(hashSearchUrl, {
+            headers: { 'User-Agent': 'TemporaryUserAgent' },
+            timeout: 10000
+        }));
+        if (!response.data || !Array.isArray(response.data)) {
+            return [];
+        }
+
+        // A hash can collide with another title, so only keep results for the requested one
+        const imdbId = parseInt(baseSearchParams.imdbid, 10);
+        return response.data
+            .filter(sub => {
+                if (baseSearchParams.episode) {
+                    return parseInt(sub.SeriesIMDBParent, 10) === imdbId
+                        && String(sub.SeriesSeason) === String(baseSearchParams.season)
+                        && String(sub.SeriesEpisode) === String(baseSearchParams.episode);
+                }
+                return parseInt(sub.IDMovieImdb, 10) === imdbId;
             })
-            if (languageId !== "jpn") return opensubsResponse
-            else { //also request buta no subs and wait for both promises
-                const butaNoSubsUrl = `https://buta-no-subs-stremio-addon.onrender.com/subtitles/${type}/tt${baseSearchParams.imdbid}${(baseSearchParams.season) ? ":" + baseSearchParams.season + ":" + baseSearchParams.episode : "" }.json`
-                console.log(`Searching ${languageId} subtitles at: ${butaNoSubsUrl}`)
-                const butaNoSubsResponse = axios.get(butaNoSubsUrl, {
-                    headers: { 'User-Agent': 'TemporaryUserAgent' },
-                    timeout: 10000
-                }).then((res) => { //adapt response to expected format
-                    if (!res.data || !Array.isArray(res.data.subtitles)) {
-                        // If response is not what we expect, treat it as no subtitles
-                        res.subtitles = [];
-                        return res;
-                    }
-                    let lgth = res.data.subtitles.length;
-                    res.subtitles = res.data.subtitles.map((sub, idx) => {
-                        sub.SubDownloadLink = sub.url;
-                        const lastDotIndex = sub.url.lastIndexOf('.');
-                        const extension = lastDotIndex > 0 ? sub.url.substring(lastDotIndex + 1).toLowerCase() : '';
-                        sub.SubFormat = supportedFormats.includes(extension) ? extension : 'srt';
-                        sub.SubDownloadsCnt = lgth - idx; //make each entry have a fake download count to preserve order
-                        sub.IDSubtitleFile = sub.id;
-                        sub.SubLanguageID = sub.lang;
-                        sub.LanguageName = "Japanese";
-                        return sub;
-                    })
-                    return res;
-                })
-                return Promise.allSettled([opensubsResponse, butaNoSubsResponse]).then((results) => {
-                    if (results[0].status === 'rejected' && results[1].status === 'rejected') throw results[0].reason
-                    let jpnResponse = { data: [] } //concatenate results
-                    if (results[0].status === 'fulfilled') jpnResponse.data = jpnResponse.data.concat(results[0].value.data);
-                    if (results[1].status === 'fulfilled') jpnResponse.data = jpnResponse.data.concat(results[1].value.subtitles);
-                    return jpnResponse;
-                });
-            }
+            .map(sub => ({ ...sub, hashMatch: true }));
+    } catch (error) {
+        console.error(`Error searching ${languageId} subtitles by movie hash:`, error.message);
+        return [];
+    }
+}
+
+// OpenSubtitles (rest.opensubtitles.org) is searched for every language, by title and, when
+// Stremio knows the file being played, by its movie hash. Downloads carry the session cookie.
+const openSubtitlesProvider = {
+    name: 'opensubtitles',
+    supports: () => true,
+    async search({ languageId, baseSearchParams, stream }) {
+        const searchUrl = buildSearchUrl({ ...baseSearchParams, sublanguageid: languageId });
+        console.log(`Searching ${languageId} subtitles at: ${searchUrl}`);
+        const response = await withRateLimit(searchUrl, () => axios.get(searchUrl, {
+            headers: { 'User-Agent': 'TemporaryUserAgent' },
+            timeout: 10000
+        }));
+        let searchResults = response.data && Array.isArray(response.data) ? response.data : [];
+
+        if (stream.videoHash && stream.videoSize) {
+            const hashMatches = await searchByMovieHash(languageId, baseSearchParams, stream);
+            console.log(`Found ${hashMatches.length} ${languageId} subtitles matching the movie hash.`);
+            const hashMatchIds = new Set(hashMatches.map(sub => sub.IDSubtitleFile));
+            searchResults = [...hashMatches, ...searchResults.filter(sub => !hashMatchIds.has(sub.IDSubtitleFile))];
+        }
+        return searchResults;
+    },
+    normalize(sub) {
+        if (!sub.SubDownloadLink || !sub.SubFormat) {
+            return null;
+        }
+        if (sub.SubDownloadLink.endsWith('.gz')) {
+            console.log(`Found gzipped subtitle for ${sub.SubLanguageID} (ID: ${sub.IDSubtitleFile}). Fetch function will handle decompression.`);
+        }
+        return {
+            id: sub.IDSubtitleFile,
+            url: sub.SubDownloadLink, // This URL will be used to *fetch* the content later
+            lang: sub.SubLanguageID,
+            format: sub.SubFormat.toLowerCase(),
+            langName: sub.LanguageName,
+            releaseName: sub.MovieReleaseName || sub.MovieName || 'Unknown',
+            fileName: sub.SubFileName || null,
+            rating: parseFloat(sub.SubRating) || 0,
+            downloads: parseInt(sub.SubDownloadsCnt, 10) || 0,
+            fps: parseFloat(sub.MovieFPS) || null, // Used as a hint when converting frame based formats
+            hashMatch: !!sub.hashMatch,
+            hearingImpaired: sub.SubHearingImpaired === '1'
+        };
+    },
+    download: (candidate, { cookie = null } = {}) => fetchSubtitleContent(candidate.url, candidate.format, cookie, { fps: candidate.fps, languageId: candidate.lang })
+};
+
+// Providers searched for every request, on top of OpenSubtitles
+const BUILT_IN_SUBTITLE_SOURCES = [
+    { name: 'Buta no subs', baseUrl: 'https://buta-no-subs-stremio-addon.onrender.com', languages: ['jpn'] }
+];
+// Extra Stremio subtitle addons configured for this server, same format as the subtitleSources setting
+const SERVER_SUBTITLE_SOURCES = parseSubtitleSources(process.env.SUBTITLE_SOURCES);
+
+// OpenSubtitles.com API account used when the user configures none: OPENSUBTITLES_API_KEY,
+// optionally with OPENSUBTITLES_USERNAME and OPENSUBTITLES_PASSWORD for the account's quota
+const SERVER_OPENSUBTITLES_ACCOUNT = {
+    apiKey: process.env.OPENSUBTITLES_API_KEY || null,
+    username: process.env.OPENSUBTITLES_USERNAME || null,
+    password: process.env.OPENSUBTITLES_PASSWORD || null
+};
+
+// OpenSubtitles account from the user's configuration, falling back to the server's.
+// A login only applies to the API key it was configured with.
+function resolveOpenSubtitlesAccount(config) {
+    const apiKey = config?.opensubtitlesApiKey ? config.opensubtitlesApiKey.trim() : '';
+    const login = parseOpenSubtitlesLogin(config?.opensubtitlesLogin);
+    if (apiKey) {
+        return { apiKey, username: login ? login.username : null, password: login ? login.password : null };
+    }
+    if (SERVER_OPENSUBTITLES_ACCOUNT.apiKey) {
+        return login ? { ...SERVER_OPENSUBTITLES_ACCOUNT, ...login } : SERVER_OPENSUBTITLES_ACCOUNT;
+    }
+    return null;
+}
+
+// Registry of the providers for one request: OpenSubtitles (the official API when an API key is
+// configured, with the rest.opensubtitles.org scraper as its fallback), the built-in and server
+// wide addons, then the addons from the user's configuration (kept to public addresses)
+// Every provider goes through the shared health tracker, so a failing one is skipped quickly
+function buildProviderRegistry(userSources = [], openSubtitlesAccount = null) {
+    const legacyOpenSubtitles = withHealthTracking(openSubtitlesProvider, providerHealth);
+    const openSubtitles = openSubtitlesAccount
+        ? createFallbackProvider(
+            withHealthTracking(createOpenSubtitlesComProvider({
+                ...openSubtitlesAccount,
+                userAgent: process.env.OPENSUBTITLES_USER_AGENT || undefined,
+                fetchContent: fetchSubtitleContent,
+                rateLimit: withRateLimit
+            }), providerHealth),
+            legacyOpenSubtitles
+        )
+        : legacyOpenSubtitles;
+    const registry = createProviderRegistry([openSubtitles]);
+    const sources = [
+        ...BUILT_IN_SUBTITLE_SOURCES,
+        ...SERVER_SUBTITLE_SOURCES,
+        ...userSources.map(source => ({ ...source, publicOnly: true }))
+    ];
+    for (const source of sources) {
+        registry.register(withHealthTracking(
+            createStremioAddonProvider({ ...source, fetchContent: fetchSubtitleContent, rateLimit: withRateLimit }),
+            providerHealth
+        ));
+    }
+    return registry;
+}
+
+// --- Helper Function to Fetch and Select Subtitle ---
+// stream holds what Stremio knows about the file being played: { filename, videoHash, videoSize }
+// providers is the registry searched, every provider supporting the language is asked at the same time
+async function fetchAndSelectSubtitle(languageId, baseSearchParams, type, stream = {}, providers = buildProviderRegistry()) {
+    const diagnostics = currentDiagnostics();
+    try {
+        const searchResults = await providers.search({
+            languageId,
+            languageName: languageMap[languageId] || null,
+            type,
+            baseSearchParams,
+            stream
         });
 
-        if (!response.data || !Array.isArray(response.data) || response.data.length === 0) {
+        if (searchResults.length === 0) {
             console.log(`No ${languageId} subtitles found or invalid API response.`);
+            diagnostics?.recordSearch(languageId, { results: 0 });
             return null;
         }
         
         // Filter for valid subtitle formats first
-        const validFormatSubs = response.data.filter(subtitle =>
-            subtitle.SubDownloadLink &&
-            subtitle.SubFormat &&
-            supportedFormats.includes(subtitle.SubFormat.toLowerCase())
+        const validFormatSubs = searchResults.filter(subtitle =>
+            subtitle.url &&
+            subtitle.format &&
+            SUPPORTED_SUBTITLE_FORMATS.includes(subtitle.format)
         );
 
         if (validFormatSubs.length === 0) {
              console.log(`No suitable subtitle format found for ${languageId}.`);
+             diagnostics?.recordSearch(languageId, {
+                 results: searchResults.length,
+                 unsupportedFormats: [...new Set(searchResults.map(subtitle => subtitle.format))]
+             });
              return null;
         }
 
-        // Sort the valid subtitles by download count (descending)
+        // Score how well each subtitle's release matches the file being played
+        const streamRelease = parseReleaseName(stream.filename);
+        for (const sub of validFormatSubs) {
+            sub.releaseScore = Math.max(
+                scoreReleaseMatch(streamRelease, sub.releaseName),
+                scoreReleaseMatch(streamRelease, sub.fileName)
+            );
+        }
+
+        // Sort by hash match, then release match, then download count (all descending)
         validFormatSubs.sort((a, b) => {
-            const downloadsA = parseInt(a.SubDownloadsCnt, 10) || 0;
-            const downloadsB = parseInt(b.SubDownloadsCnt, 10) || 0;
-            return downloadsB - downloadsA; // Sort descending
+            if (a.hashMatch !== b.hashMatch) {
+                return a.hashMatch ? -1 : 1;
+            }
+            if (a.releaseScore !== b.releaseScore) {
+                return b.releaseScore - a.releaseScore;
+            }
+            return b.downloads - a.downloads; // Sort descending
         });
 
-        // Map to the desired return format
-        const subtitleList = validFormatSubs.map(sub => {
-             const directUrl = sub.SubDownloadLink;
-             let subtitleUrl = directUrl;
-             // Note: No special handling for .gz here anymore, assuming fetchSubtitleContent handles it
-             if (directUrl.endsWith('.gz')) {
-                console.log(`Found gzipped subtitle for ${languageId} (ID: ${sub.IDSubtitleFile}). Fetch function will handle decompression.`);
-             }
-
-            return {
-                id: sub.IDSubtitleFile,
-                url: subtitleUrl, // This URL will be used to *fetch* the content later
-                lang: sub.SubLanguageID,
-                format: sub.SubFormat,
-                langName: sub.LanguageName,
-                releaseName: sub.MovieReleaseName || sub.MovieName || 'Unknown',
-                rating: parseFloat(sub.SubRating) || 0,
-                downloads: parseInt(sub.SubDownloadsCnt, 10) || 0
-            };
+        console.log(`Found ${validFormatSubs.length} valid subtitles for ${languageId}, sorted by release match and downloads.`);
+        diagnostics?.recordSearch(languageId, {
+            results: searchResults.length,
+            skippedFormats: searchResults.length - validFormatSubs.length,
+            candidates: validFormatSubs
         });
-
-        console.log(`Found ${subtitleList.length} valid subtitles for ${languageId}, sorted by downloads.`);
-        return subtitleList; // Return the whole sorted list
+        return validFormatSubs; // Return the whole sorted list
 
     } catch (error) {
         console.error(`Error fetching ${languageId} subtitles:`, error.message);
+        diagnostics?.recordSearch(languageId, { error: error.message });
         if (error.response && error.response.status === 429) {
-            console.log(`Rate limit exceeded from OpenSubtitles API while fetching ${languageId}`);
+            console.log(`Rate limit exceeded while fetching ${languageId} subtitles`);
         }
         return null; // Return null on error
     }
@@ -261,6 +655,16 @@ async function fetchAndSelectSubtitle(languageId, baseSearchParams, type) {
 
 let openSubtitlesCookie = null; // Cache for the cookie to be used across requests
 
+// Downloads from opensubtitles.org (dl.opensubtitles.org...) are the only ones the session cookie is for
+function isOpenSubtitlesOrgUrl(url) {
+    try {
+        const { hostname } = new URL(url);
+        return hostname === 'opensubtitles.org' || hostname.endsWith('.opensubtitles.org');
+    } catch (error) {
+        return false;
+    }
+}
+
 // Fetches a session cookie from opensubtitles.org to help with Cloudflare
 async function refreshOpensubtitlesCookie(force = false) {
     if (openSubtitlesCookie && !force) {
@@ -270,13 +674,14 @@ async function refreshOpensubtitlesCookie(force = false) {
 
     console.log(force ? 'Forcing cookie refresh...' : 'Attempting to fetch fresh cookies from OpenSubtitles...');
     try {
-        const response = await axios.get('https://www.opensubtitles.org/en/search/subs', {
+        const cookieUrl = 'https://www.opensubtitles.org/en/search/subs';
+        const response = await withRateLimit(cookieUrl, () => axios.get(cookieUrl, {
             // Use a minimal set of headers, we just want the cookie
             headers: {
                  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:140.0) Gecko/20100101 Firefox/140.0',
             },
             timeout: 10000
-        });
+        }));
 
         const cookies = response.headers['set-cookie'];
         if (cookies && cookies.length > 0) {
@@ -296,9 +701,76 @@ async function refreshOpensubtitlesCookie(force = false) {
 }
 
 
-// Fetches subtitle content from URL, handles potential gzip and encoding
-async function fetchSubtitleContent(url, sourceFormat = 'srt', cookie = null, isRetry = false) {
+// Default frame rate for MicroDVD (.sub) files that carry no frame rate information
+const DEFAULT_MICRODVD_FPS = 23.976;
+
+// Infers the frame rate of a MicroDVD subtitle. The first cue is often a header such as
+// "{1}{1}25.000" holding the frame rate, otherwise the provider's fps hint is used.
+function detectMicroDvdFps(subtitleText, fpsHint = null) {
+    const isPlausibleFps = fps => Number.isFinite(fps) && fps >= 10 && fps <= 120;
+    const firstLine = subtitleText.split(/\r?\n/).find(line => line.trim().length > 0) || '';
+    const headerMatch = firstLine.trim().match(/^\{[01]\}\{[01]\}(\d+(?:[.,]\d+)?)$/);
+    if (headerMatch) {
+        const headerFps = parseFloat(headerMatch[1].replace(',', '.'));
+        if (isPlausibleFps(headerFps)) {
+            return { fps: headerFps, source: 'header' };
+        }
+    }
+    if (isPlausibleFps(fpsHint)) {
+        return { fps: fpsHint, source: 'provider' };
+    }
+    return { fps: DEFAULT_MICRODVD_FPS, source: 'default' };
+}
+
+// Converts MicroDVD ("{start}{end}text", frame numbers) to SRT using the given frame rate.
+// subsrt divides the frame numbers by the fps but keeps the result as milliseconds, so we do it ourselves.
+// Returns null when the text does not look like MicroDVD (e.g. SubViewer files also use .sub).
+function convertMicroDvdToSrt(subtitleText, fps) {
+    const cues = [];
+    for (const line of subtitleText.split(/\r?\n/)) {
+        const match = line.trim().match(/^\{(\d+)\}\{(\d*)\}(.*)$/);
+        if (!match) continue;
+        const startFrame = parseInt(match[1], 10);
+        const endFrame = match[2] ? parseInt(match[2], 10) : startFrame + Math.round(fps * 2);
+        const text = match[3]
+            .replace(/\{[^}]*\}/g, '') // Control codes such as {y:i} or {c:$0000ff}
+            .split('|')
+            .map(part => part.trim())
+            .filter(Boolean)
+            .join('\n');
+        if (!text) continue;
+        cues.push(`${cues.length + 1}\n${formatMsToTime(startFrame / fps * 1000)} --> ${formatMsToTime(endFrame / fps * 1000)}\n${text}\n`);
+    }
+    return cues.length > 0 ? cues.join('\n') : null;
+}
+
+// Downloads of the same file running at the same time, e.g. two clients opening the same episode
+const inFlightDownloads = createCoalescer();
+
+// Fetches subtitle content from URL; concurrent fetches of the same file share one download.
+// options.fps is a frame rate hint for frame based formats (MicroDVD .sub), options.languageId
+// the subtitle's language, which narrows down the encodings the file can be in, and
+// options.publicOnly keeps a URL from a user's addon away from non-public addresses.
+// options.accountKey (buildAccountKey) is set for downloads using an OpenSubtitles.com account's quota.
+function fetchSubtitleContent(url, sourceFormat = 'srt', cookie = null, options = {}) {
+    // A dry run downloads on its own, so its report sees every step of the download
+    if (currentDiagnostics()) {
+        return downloadSubtitleContent(url, sourceFormat, cookie, options);
+    }
+    const key = `${url}|${sourceFormat}|${options.fps || ''}|${options.languageId || ''}|${options.publicOnly ? 'public' : ''}|${options.accountKey || ''}`;
+    if (inFlightDownloads.has(key)) {
+        console.log(`Sharing the download already running for ${url}`);
+    }
+    return inFlightDownloads.run(key, () => downloadSubtitleContent(url, sourceFormat, cookie, options));
+}
+
+// Downloads subtitle content from URL, handles potential gzip and encoding
+async function downloadSubtitleContent(url, sourceFormat = 'srt', cookie = null, options = {}) {
+    const { isRetry = false, fps: fpsHint = null, languageId = null, publicOnly = false } = options;
     console.log(`Fetching subtitle content from: ${url}`);
+    const diagnostics = currentDiagnostics();
+    // What the dry run report gets to know about this download
+    const trace = { format: sourceFormat, retry: isRetry };
     try {
         const headers = {
             'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:140.0) Gecko/20100101 Firefox/140.0',
@@ -312,166 +784,127 @@ async function fetchSubtitleContent(url, sourceFormat = 'srt', cookie = null, is
             'Sec-Fetch-User': '?1'
         };
 
-        if (cookie) {
+        if (cookie && isOpenSubtitlesOrgUrl(url)) {
             headers['Cookie'] = cookie;
             console.log(`Using cookie for subtitle download.`);
         }
 
-        const response = await axios.get(url, {
+        const response = await withRateLimit(url, () => axios.get(url, {
             responseType: 'arraybuffer', // Important for binary data
             timeout: 15000,
             headers: headers,
-            maxContentLength: 5 * 1024 * 1024  // 5 MB limit
-        });
+            maxContentLength: 5 * 1024 * 1024,  // 5 MB limit
+            ...(publicOnly ? publicOnlyRequestOptions(url) : {})
+        }));
 
         let contentBuffer = Buffer.from(response.data);
         let subtitleText;
+        trace.bytes = contentBuffer.length;
 
         // 1. Handle Gzip decompression first
         if (url.endsWith('.gz') || (contentBuffer.length > 2 && contentBuffer[0] === 0x1f && contentBuffer[1] === 0x8b)) {
             console.log(`Decompressing gzipped subtitle: ${url}`);
+            trace.gzipped = true;
             try {
                 contentBuffer = Buffer.from(pako.ungzip(contentBuffer)); // Decompress into a new buffer
                 console.log(`Decompressed size: ${contentBuffer.length}`);
             } catch (unzipError) {
                 console.error(`Error decompressing subtitle ${url}: ${unzipError.message}`);
+                diagnostics?.recordDownload(url, { ...trace, error: `decompression failed: ${unzipError.message}` });
                 return null; // Failed decompression
             }
         }
 
-        // 2. Detect Encoding using chardet
-        let detectedEncoding = 'utf8'; // Default
-        let rawDetectedEncoding = null;
-        let detectionConfidence = 0; // chardet doesn't provide confidence score in the same way
+        // 2. Detect the encoding, constrained to the usual encodings of the subtitle's language, and decode
         try {
-            // chardet.detect expects a Buffer
-            rawDetectedEncoding = chardet.detect(contentBuffer);
-            console.log(`chardet raw detection: encoding=${rawDetectedEncoding}`); // Log raw detection
-
-            if (rawDetectedEncoding) {
-                const normalizedEncoding = rawDetectedEncoding.toLowerCase();
-                // Map common names/aliases if needed - chardet might return different names
-                switch (normalizedEncoding) {
-                    case 'windows-1254':
-                        detectedEncoding = 'win1254';
-                        break;
-                    case 'iso-8859-9':
-                        detectedEncoding = 'iso88599';
-                        break;
-                    case 'windows-1252':
-                        detectedEncoding = 'win1252';
-                        break;
-                    case 'utf-16le':
-                        detectedEncoding = 'utf16le';
-                        break;
-                    case 'utf-16be':
-                        detectedEncoding = 'utf16be';
-                        break;
-                    case 'ascii':
-                    case 'us-ascii':
-                        detectedEncoding = 'utf8'; // Treat ASCII as UTF-8
-                        break;
-                    case 'utf-8':
-                         detectedEncoding = 'utf8';
-                         break;
-                    // Add more mappings if necessary based on chardet results
-                    default:
-                        // Check if iconv supports the detected encoding directly
-                        if (iconv.encodingExists(normalizedEncoding)) {
-                            detectedEncoding = normalizedEncoding;
-                        } else {
-                            console.warn(`Detected encoding '${rawDetectedEncoding}' not directly supported by iconv-lite or mapped. Falling back to UTF-8.`);
-                            detectedEncoding = 'utf8'; // Fallback if unknown
-                        }
-                }
-                console.log(`Detected encoding: ${rawDetectedEncoding}, using: ${detectedEncoding}`);
-            } else {
-                console.log(`Encoding detection failed for ${url}. Defaulting to UTF-8.`);
-                // Try to remove potential BOM manually if UTF-8 is assumed
-                if(contentBuffer.length > 3 && contentBuffer[0] === 0xEF && contentBuffer[1] === 0xBB && contentBuffer[2] === 0xBF) {
-                    console.log("Found UTF-8 BOM, removing it before potential decode.");
-                    contentBuffer = contentBuffer.subarray(3);
-                }
-            }
-        } catch (detectionError) {
-            console.warn(`Error during encoding detection for ${url}: ${detectionError.message}. Defaulting to UTF-8.`);
-        }
-
-        // 3. Decode using detected or default encoding
-        try {
-            // iconv-lite handles BOMs for UTF-8, UTF-16LE, UTF-16BE automatically
-            subtitleText = iconv.decode(contentBuffer, detectedEncoding);
-            console.log(`Successfully decoded subtitle ${url} using ${detectedEncoding}.`);
-
-            // Optional: If it was detected as UTF-8, double check for the FEFF char code just in case
-            // iconv *should* handle this, but as a safeguard:
-            if (detectedEncoding === 'utf8' && subtitleText.charCodeAt(0) === 0xFEFF) {
-                 console.log("Found BOM character after UTF-8 decode, removing it.");
-                 subtitleText = subtitleText.substring(1);
-            }
-
+            const decoded = decodeSubtitleBuffer(contentBuffer, languageId);
+            subtitleText = decoded.text;
+            trace.encoding = decoded.encoding;
+            trace.repairedRuns = decoded.repairedRuns;
+            trace.scriptFit = decoded.scriptFit;
         } catch (decodeError) {
-            console.error(`Error decoding subtitle ${url} with encoding ${detectedEncoding}: ${decodeError.message}`);
-            // Fallback attempt: try decoding as Latin1 (ISO-8859-1) if initial decode failed
-            console.warn(`Falling back to latin1 decoding for ${url}`);
-            try {
-                 subtitleText = iconv.decode(contentBuffer, 'latin1');
-            } catch (fallbackError) {
-                console.error(`Fallback decoding as latin1 also failed for ${url}: ${fallbackError.message}`);
-                return null; // Both attempts failed
-            }
+            console.error(`Error decoding subtitle ${url}: ${decodeError.message}`);
+            diagnostics?.recordDownload(url, { ...trace, error: `decoding failed: ${decodeError.message}` });
+            return null;
         }
 
-        // 4. Convert to SRT if needed
+        // 3. Convert to SRT if needed
         if (sourceFormat.toLowerCase() !== 'srt') {
             console.log(`Converting subtitle from ${sourceFormat} to srt.`);
             let convertedSrt = null;
 
-            // Attempt 1: Use subsrt
-            try {
-                console.log(`Attempting conversion with 'subsrt'...`);
-                const options = { format: 'srt' };
-                // subsrt might need fps for .sub, provide a default
-                if (sourceFormat.toLowerCase() === 'sub') {
-                    options.fps = 23.976; 
-                }
-                const result = subsrt.convert(subtitleText, options);
-                if (result) {
-                    convertedSrt = result;
-                    console.log("Successfully converted to SRT using 'subsrt'.");
+            // MicroDVD is frame based, so it needs the right frame rate rather than a fixed default
+            if (sourceFormat.toLowerCase() === 'sub') {
+                const { fps, source } = detectMicroDvdFps(subtitleText, fpsHint);
+                console.log(`Using ${fps} fps for MicroDVD conversion (from ${source}).`);
+                // Drop the frame rate header so it does not end up as a cue
+                const body = source === 'header'
+                    ? subtitleText.replace(/^\s*\{[01]\}\{[01]\}[^\r\n]*(\r?\n)?/, '')
+                    : subtitleText;
+                convertedSrt = convertMicroDvdToSrt(body, fps);
+                if (convertedSrt) {
+                    trace.converter = `microdvd (${fps} fps from ${source})`;
+                    console.log("Successfully converted MicroDVD to SRT.");
                 } else {
-                     throw new Error("'subsrt.convert' returned empty result.");
+                    console.log("Subtitle is not MicroDVD, trying the generic converters.");
                 }
-            } catch (subsrtError) {
-                console.warn(`'subsrt' failed to convert from ${sourceFormat}: ${subsrtError.message}`);
-                // Fallback to subtitle-converter
-                console.log(`Falling back to 'subtitle-converter'...`);
+            }
+
+            if (!convertedSrt) {
+                // Attempt 1: Use subsrt
                 try {
-                    const { subtitle, status } = convertWithSubtitleConverter(subtitleText, '.srt', { removeTextFormatting: true });
-                    if (status.success) {
-                        convertedSrt = subtitle;
-                        console.log("Successfully converted to SRT using 'subtitle-converter'.");
+                    console.log(`Attempting conversion with 'subsrt'...`);
+                    const options = { format: 'srt' };
+                    const result = subsrt.convert(subtitleText, options);
+                    if (result) {
+                        convertedSrt = result;
+                        trace.converter = 'subsrt';
+                        console.log("Successfully converted to SRT using 'subsrt'.");
                     } else {
-                        console.error(`Fallback 'subtitle-converter' also failed. Status:`, status);
+                         throw new Error("'subsrt.convert' returned empty result.");
+                    }
+                } catch (subsrtError) {
+                    console.warn(`'subsrt' failed to convert from ${sourceFormat}: ${subsrtError.message}`);
+                    // Fallback to subtitle-converter
+                    console.log(`Falling back to 'subtitle-converter'...`);
+                    try {
+                        const { subtitle, status } = convertWithSubtitleConverter(subtitleText, '.srt', { removeTextFormatting: true });
+                        if (status.success) {
+                            convertedSrt = subtitle;
+                            trace.converter = 'subtitle-converter';
+                            console.log("Successfully converted to SRT using 'subtitle-converter'.");
+                        } else {
+                            console.error(`Fallback 'subtitle-converter' also failed. Status:`, status);
+                            diagnostics?.recordDownload(url, { ...trace, error: `conversion from ${sourceFormat} failed` });
+                            return null;
+                        }
+                    } catch (fallbackError) {
+                        console.error(`Error during fallback conversion with 'subtitle-converter':`, fallbackError.message);
+                        diagnostics?.recordDownload(url, { ...trace, error: `conversion from ${sourceFormat} failed: ${fallbackError.message}` });
                         return null;
                     }
-                } catch (fallbackError) {
-                    console.error(`Error during fallback conversion with 'subtitle-converter':`, fallbackError.message);
-                    return null;
                 }
             }
+
             subtitleText = convertedSrt;
         }
 
         console.log(`Successfully fetched and processed subtitle: ${url}`);
+        diagnostics?.recordDownload(url, { ...trace, chars: subtitleText.length });
         return subtitleText;
 
     } catch (error) {
-        // If we get a 403, our cookie might be stale. Try refreshing it and retry once.
-        if (error.response && (error.response.status === 403 || error.response.status === 404) && !isRetry) {
+        diagnostics?.recordDownload(url, {
+            ...trace,
+            status: error.response ? error.response.status : null,
+            error: error.message
+        });
+        // If opensubtitles.org answers 403, our cookie might be stale. Try refreshing it and retry once.
+        // Other hosts neither get the cookie nor cause a refresh.
+        if (error.response && (error.response.status === 403 || error.response.status === 404) && !isRetry && isOpenSubtitlesOrgUrl(url)) {
             console.warn(`Got ${error.response.status} error for ${url}. Forcing cookie refresh and retrying once...`);
             const newCookie = await refreshOpensubtitlesCookie(true); // Force refresh
-            return await fetchSubtitleContent(url, sourceFormat, newCookie, true); // Retry
+            return await downloadSubtitleContent(url, sourceFormat, newCookie, { ...options, isRetry: true }); // Retry
         }
 
 
@@ -479,127 +912,13 @@ async function fetchSubtitleContent(url, sourceFormat = 'srt', cookie = null, is
         if (error.response) {
             console.error(`Status: ${error.response.status}, Headers: ${JSON.stringify(error.response.headers)}`);
         }
-        return null;
-    }
-}
-
-// Helper to convert SRT time format (HH:MM:SS,ms) to milliseconds
-function parseTimeToMs(timeString) {
-    // Added validation for the time string format
-    if (!timeString || !/\d{2}:\d{2}:\d{2},\d{3}/.test(timeString)) {
-        console.error(`Invalid time format encountered: ${timeString}`);
-        return 0; // Return 0 or throw error, depending on desired strictness
-    }
-    const parts = timeString.split(':');
-    const secondsParts = parts[2].split(',');
-    const hours = parseInt(parts[0], 10);
-    const minutes = parseInt(parts[1], 10);
-    const seconds = parseInt(secondsParts[0], 10);
-    const milliseconds = parseInt(secondsParts[1], 10);
-    return (hours * 3600 + minutes * 60 + seconds) * 1000 + milliseconds;
-}
-
-// Merges two arrays of parsed subtitles based on time
-function mergeSubtitles(mainSubs, transSubs, mergeThresholdMs = 500) {
-    console.log(`Merging ${mainSubs.length} main subs with ${transSubs.length} translation subs.`);
-    const mergedSubs = [];
-    let transIndex = 0;
-
-    for (const mainSub of mainSubs) {
-        let foundMatch = false;
-        let bestMatchIndex = -1;
-        let smallestTimeDiff = Infinity;
-
-        // Ensure mainSub is valid before processing
-        if (!mainSub || !mainSub.startTime || !mainSub.endTime) {
-            console.warn("Skipping invalid main subtitle entry:", mainSub);
-            continue;
-        }
-
-        const mainStartTime = parseTimeToMs(mainSub.startTime);
-        const mainEndTime = parseTimeToMs(mainSub.endTime);
-
-        // Search for the best matching translation subtitle around the main subtitle's time
-        for (let i = transIndex; i < transSubs.length; i++) {
-            const transSub = transSubs[i];
-
-            // Ensure transSub is valid
-            if (!transSub || !transSub.startTime || !transSub.endTime) {
-                console.warn("Skipping invalid translation subtitle entry:", transSub);
-                continue;
-            }
-
-            const transStartTime = parseTimeToMs(transSub.startTime);
-            const transEndTime = parseTimeToMs(transSub.endTime);
-
-            // Check for time overlap or closeness
-            const startsOverlap = (transStartTime >= mainStartTime && transStartTime < mainEndTime);
-            const endsOverlap = (transEndTime > mainStartTime && transEndTime <= mainEndTime);
-            const isWithin = (transStartTime >= mainStartTime && transEndTime <= mainEndTime);
-            const contains = (transStartTime < mainStartTime && transEndTime > mainEndTime);
-            const timeDiff = Math.abs(mainStartTime - transStartTime); // Proximity of start times
-
-            // Prioritize overlaps, then proximity
-            if (startsOverlap || endsOverlap || isWithin || contains || timeDiff < mergeThresholdMs) {
-                // This sub is a potential match. Find the *closest* start time.
-                if (timeDiff < smallestTimeDiff) {
-                    smallestTimeDiff = timeDiff;
-                    bestMatchIndex = i;
-                    // Don't break yet, keep searching for potentially *better* overlaps nearby
-                }
-                foundMatch = true; // Mark that we found at least one potential match
-            } else if (foundMatch && transStartTime > mainEndTime + mergeThresholdMs) {
-                // If we already found a match, and this trans sub starts significantly
-                // after the main sub ends, we can stop searching for this main sub.
-                break;
-            } else if (!foundMatch && transStartTime > mainEndTime + mergeThresholdMs) {
-                 // If we haven't found any match yet, and this one is too far after,
-                 // we can likely stop searching for this main sub.
-                 break;
-             }
-
-            // Optimization: If this translation sub ends way before the main sub *starts*,
-            // advance the starting point for the *next* main sub's search.
-            if (transEndTime < mainStartTime - mergeThresholdMs * 2 && i === transIndex) {
-                transIndex = i + 1;
-            }
-        }
-
-       
-        // console.log("Before main sanitize:", mainSub.text.substring(0, 50));
-        const cleanMainText = sanitize(mainSub.text, {
-            allowedTags: [],      // No tags allowed
-            allowedAttributes: {} // No attributes allowed
-        });
-        // console.log("After main sanitize:", cleanMainText.substring(0, 50));
-        // Flatten main text by replacing newlines with spaces
-        const flatMainText = cleanMainText.replace(/\r?\n|\r/g, ' ');
-        if (bestMatchIndex !== -1) {
-            const bestTransSub = transSubs[bestMatchIndex];
-            // console.log("Before trans sanitize:", bestTransSub.text.substring(0, 50));
-            const cleanTransText = sanitize(bestTransSub.text, {
-                allowedTags: [],
-                allowedAttributes: {}
-            });
-            // console.log("After trans sanitize:", cleanTransText.substring(0, 50));
-            // Flatten translation text by replacing newlines with spaces
-            const flatTransText = cleanTransText.replace(/\r?\n|\r/g, ' ');
-
-            mergedSubs.push({
-                ...mainSub, // Keep main timing and ID
-                // Combine flattened texts with a newline, keeping translation italic
-                text: `${flatMainText}\n<i>${flatTransText}</i>`
-            });
-        } else {
-            // If no suitable translation match found, add the main subtitle as is (also flattened)
-            mergedSubs.push({
-                 ...mainSub,
-                 text: flatMainText
-            });
+        // Timeouts, Cloudflare challenges, 429 and 5xx responses are passed on for the provider's
+        // health tracking (the registry turns them into null), a missing file is just null
+        if (isProviderFailure(error)) {
+            throw error;
         }
+        return null;
     }
-    console.log(`Finished merging. Result has ${mergedSubs.length} entries.`);
-    return mergedSubs;
 }
 
 // Helper function to build the OpenSubtitles search URL
@@ -625,9 +944,6 @@ function buildSearchUrl(params) {
 // Handle process termination
 process.on('SIGINT', () => {
     console.log('Shutting down...');
-    if (requestTimer) {
-        clearInterval(requestTimer);
-    }
     process.exit(0);
 });
 
@@ -638,16 +954,16 @@ process.on('SIGINT', () => {
         const { default: SRTParser2 } = await import('srt-parser-2');
         console.log("Successfully imported srt-parser-2.");
 
-        // Initialize Supabase client
-        const supabaseUrl = process.env.SUPABASE_URL;
-        const supabaseKey = process.env.SUPABASE_SERVICE_KEY;
-        let supabase;
-        if (supabaseUrl && supabaseKey) {
-            supabase = createClient(supabaseUrl, supabaseKey);
-            console.log("Supabase client initialized with Service Role Key.");
-        } else {
-            console.warn("Supabase URL or Service Role Key not found in environment variables. Supabase fallback disabled.");
+        // Initialize the storage backend for merged subtitles (Vercel Blob, Supabase, filesystem or memory)
+        const storage = createStorage();
+        const resultCache = createResultCache(storage);
+        // Serverless instances can share their rate limits through the storage backend
+        if (process.env.RATE_LIMIT_SHARED === 'true') {
+            rateLimiter.shareState(storage);
+            console.log(`Sharing rate limit state through ${storage.name}.`);
         }
+        // Optional machine translation fallback (LIBRETRANSLATE_URL), null when not configured
+        const machineTranslator = createTranslator(storage);
 
         // --- Parser Dependent Helpers (Define inside IIFE) ---
 
@@ -673,6 +989,18 @@ process.on('SIGINT', () => {
             }
         }
 
+        // Formats merged subtitles in the configured output format
+        function formatMerged(mergedSubs, styleConfig) {
+            switch (styleConfig.format) {
+                case 'ass':
+                    return formatAss(mergedSubs, styleConfig);
+                case 'vtt':
+                    return formatVtt(mergedSubs, styleConfig);
+                default:
+                    return formatSrt(mergedSubs);
+            }
+        }
+
         // Parses SRT text into an array of objects
         function parseSrt(srtText) {
             if (!srtText || typeof srtText !== 'string') {
@@ -731,24 +1059,20 @@ process.on('SIGINT', () => {
             }
         }
 
+        // Subtitle builds in flight, shared by identical requests arriving at the same time
+        const inFlightBuilds = createCoalescer();
+
         // --- Define Addon Handler (Inside IIFE) ---
-        builder.defineSubtitlesHandler(async ({ type, id, extra, config }) => {
+        // Also called by the export route with cachedOnly, which answers from the cache (stale entries
+        // included) and with no subtitles on a miss, without touching any provider; withPairsKeys adds
+        // the storage key of each cached subtitle's aligned pairs (pairsKeys, in the order of subtitles).
+        // waitForAll skips the response deadline and resolves once every variant is merged.
+        // The debug route passes a diagnostics report (lib/diagnostics.js) for a dry run: the cache
+        // is not read, nothing is stored, and every step is recorded in the report.
+        const subtitlesHandler = async ({ type, id, extra, config }, { waitForAll = false, withPairsKeys = false, cachedOnly = false, diagnostics = null } = {}) => {
+            const handlerStartedAt = Date.now();
             console.log('Strelingo Subtitle request:', { type, id, extra });
-            console.log('Config:', config);
-
-            // --- Get Cookie ---
-            const cookie = await refreshOpensubtitlesCookie();
-            if (!cookie) {
-                 console.warn("Could not obtain a cookie. Downloads may fail due to Cloudflare protection.");
-            }
-            // --------------------
-
-            // --- Add Environment Variable for Skipping Vercel ---
-            const skipVercelBlob = process.env.SKIP_VERCEL_BLOB === 'true';
-            if (skipVercelBlob) {
-                console.log("SKIP_VERCEL_BLOB is true, Vercel Blob upload will be skipped.");
-            }
-            // ---------------------------------------------------
+            console.log('Config:', redactConfig(config));
 
             // Get selected languages from config, with defaults
             const mainLangRaw = config?.mainLang || 'eng';
@@ -757,31 +1081,34 @@ process.on('SIGINT', () => {
             const mainLang = parseLangCode(mainLangRaw);
             const transLang = parseLangCode(transLangRaw);
 
-            console.log(`Selected Languages: Main=${mainLang}, Translation=${transLang}`);
+            // Optional second translation language (tri-subs mode)
+            let secondTransLang = config?.secondTransLang
+                ? parseLangCode(config.secondTransLang.trim()).toLowerCase()
+                : null;
+            if (secondTransLang && !languageMap[secondTransLang]) {
+                console.log(`Unknown second translation language code (${secondTransLang}). Ignoring it.`);
+                secondTransLang = null;
+            }
+
+            console.log(`Selected Languages: Main=${mainLang}, Translation=${transLang}, Second Translation=${secondTransLang || 'none'}`);
 
             // Add check for identical languages
             if (mainLang === transLang) {
                 console.log(`Error: Main language (${mainLang}) and Translation language (${transLang}) cannot be the same. Aborting request.`);
+                diagnostics?.fail('main and translation language are the same');
                 return { subtitles: [], cacheMaxAge: 3600 }; // Return empty, cache for 1 hour
             }
+            if (secondTransLang && (secondTransLang === mainLang || secondTransLang === transLang)) {
+                console.log(`Second translation language (${secondTransLang}) repeats another selected language. Ignoring it.`);
+                secondTransLang = null;
+            }
 
             // Parse the IMDB ID
-            let imdbId = extra?.imdbId || id;
-            let season = extra?.season;
-            let episode = extra?.episode;
-
-            // Handle combined series ID format (e.g., tt12345:1:2)
-            if (imdbId.includes(':')) {
-                const parts = imdbId.split(':');
-                imdbId = parts[0];
-                if (parts.length >= 3) {
-                    season = season || parts[1];
-                    episode = episode || parts[2];
-                }
-            }
+            const { imdbId, season, episode } = parseMediaId(id, extra);
 
             if (!imdbId || !imdbId.startsWith('tt')) {
                 console.log('No valid IMDB ID provided');
+                diagnostics?.fail('no valid IMDB id');
                 return { subtitles: [] };
             }
 
@@ -794,223 +1121,824 @@ process.on('SIGINT', () => {
                 baseSearchParams.episode = episode;
             }
 
-            try {
-                // 1. Fetch Subtitle Metadata Lists
-                console.log(`Fetching metadata list for main language: ${mainLang}`);
-                const mainSubInfoList = await fetchAndSelectSubtitle(mainLang, baseSearchParams, type);
-                
-                console.log(`Fetching metadata list for translation language: ${transLang}`);
-                const transSubInfoList = await fetchAndSelectSubtitle(transLang, baseSearchParams, type);
+            // What Stremio knows about the file being played, used to prefer subtitles for the same release
+            const stream = {
+                filename: extra?.filename,
+                videoHash: extra?.videoHash,
+                videoSize: extra?.videoSize
+            };
 
-                // Check if we have subtitles for both languages
-                if (!mainSubInfoList || mainSubInfoList.length === 0) {
-                    console.log(`No main language (${mainLang}) subtitles found.`);
-                    return { subtitles: [], cacheMaxAge: 60 };
-                }
-                if (!transSubInfoList || transSubInfoList.length === 0) {
-                    console.warn(`No translation language (${transLang}) subtitles found. Returning empty results.`);
-                    return { subtitles: [], cacheMaxAge: 60 };
-                }
-                
-                // 2. Select up to 4 unique translation candidates
-                const selectedTransSubs = [];
-                const usedTransUrls = new Set();
-                for (const transSub of transSubInfoList) {
-                    if (selectedTransSubs.length >= 4) break; // Stop if we have 4
-                    if (!usedTransUrls.has(transSub.url)) {
-                        selectedTransSubs.push(transSub);
-                        usedTransUrls.add(transSub.url);
-                        console.log(`Selected translation candidate #${selectedTransSubs.length}: ID=${transSub.id}, Downloads=${transSub.downloads}, URL=${transSub.url}`);
-                    }
-                }
+            // Layout of the merged cues, output format and styling of the merged file
+            const layout = parseLayoutConfig(config || {});
+            // Reading aids only exist for some main languages, other languages should not split the cache
+            if (!READING_SCHEMES[mainLang]) {
+                layout.readingAid = 'off';
+            }
+            if (layout.difficultyThreshold > 0 && !hasFrequencyList(mainLang)) {
+                console.log(`No word frequency list installed for ${mainLang}. Rare words will not be highlighted.`);
+                layout.difficultyThreshold = 0;
+            }
+            // Right-to-left languages get every line isolated with its own direction.
+            // Left-to-right pairs are left without directions, so their cache entries stay the same.
+            const directions = cueDirections(mainLang, transLang, secondTransLang);
+            if (directions) {
+                layout.directions = directions;
+            }
+            const styleConfig = parseStyleConfig(config || {}, layout);
+
+            // Hearing impaired and noise cleanup of each track
+            const cleanup = parseCleanupConfig(config || {});
+
+            // Subtitle addons the user added as extra sources
+            const userSources = ALLOW_USER_SUBTITLE_SOURCES ? parseSubtitleSources(config?.subtitleSources) : [];
+            const openSubtitlesAccount = resolveOpenSubtitlesAccount(config);
+            const providers = buildProviderRegistry(userSources, openSubtitlesAccount);
+
+            // Styling does not change SRT output, so it does not split the cache there.
+            // Extra sources can change the candidates, so they get their own cache entries.
+            const optionsKey = buildOptionsKey({
+                layout,
+                style: styleConfig.format === 'srt' ? { format: 'srt' } : styleConfig,
+                cleanup,
+                ...(userSources.length > 0 ? { sources: userSources } : {})
+            });
 
-                if (selectedTransSubs.length === 0) {
-                    console.error("Found translation metadata, but failed to select any unique candidates (this shouldn't happen if list was not empty).");
-                    return { subtitles: [], cacheMaxAge: 60 };
-                }
+            // Check the cache index before touching any provider
+            const cacheKey = buildCacheKey({
+                imdbId,
+                season: type === 'series' ? season : undefined,
+                episode: type === 'series' ? episode : undefined,
+                mainLang,
+                transLang,
+                secondTransLang,
+                videoHash: stream.videoHash
+            });
+            const cachedEntry = await resultCache.get(cacheKey, optionsKey);
+            diagnostics?.set('cache', {
+                cacheKey,
+                optionsKey,
+                cached: !!cachedEntry,
+                fresh: !!cachedEntry && cachedEntry.isFresh,
+                subtitles: cachedEntry ? cachedEntry.subtitles.length : 0
+            });
+            // A dry run builds everything again, so its report covers every step
+            const previousEntry = diagnostics ? null : cachedEntry;
+            // Aligned pairs are stored next to each merged file (see lib/export.js)
+            const pairsKeysOf = (subtitles, variantKeyOfUrl) => subtitles.map(subtitle => {
+                const variantKey = variantKeyOfUrl(subtitle.url);
+                return variantKey ? buildPairsKey(`${cacheKey}_${optionsKey}_${variantKey}`) : null;
+            });
+            if (previousEntry && (previousEntry.isFresh || cachedOnly) && previousEntry.subtitles.length > 0) {
+                console.log(`Serving ${previousEntry.subtitles.length} cached subtitle(s) for ${cacheKey}.`);
+                const { variants } = previousEntry;
+                return {
+                    subtitles: previousEntry.subtitles,
+                    cacheMaxAge: 6 * 3600,
+                    staleRevalidate: 24 * 3600,
+                    ...(withPairsKeys ? { pairsKeys: pairsKeysOf(previousEntry.subtitles, url => Object.keys(variants).find(key => variants[key] === url)) } : {})
+                };
+            }
+            if (cachedOnly) {
+                return { subtitles: [] };
+            }
 
-                // 3. Find a valid main subtitle by trying each one from the sorted list
-                let mainParsed = null;
-                let selectedMainSubInfo = null;
-                for (const mainSubInfo of mainSubInfoList) {
-                    console.log(`Attempting to process main subtitle: ID=${mainSubInfo.id}, Downloads=${mainSubInfo.downloads}`);
-                    
-                    const mainSubContent = await fetchSubtitleContent(mainSubInfo.url, mainSubInfo.format, cookie);
-                    if (!mainSubContent) {
-                        console.warn(`Failed to fetch content for main sub ID ${mainSubInfo.id}. Trying next candidate.`);
-                        continue;
+            // Everything from here on runs against the response deadline: the variants merged by then
+            // are returned, the others keep building in the background and land in the cache
+            const deadline = handlerStartedAt + RESPONSE_DEADLINE_MS;
+            const transLangName = languageMap[transLang] || transLang;
+            const secondTransLangName = secondTransLang ? (languageMap[secondTransLang] || secondTransLang) : null;
+            const buildLabel = (version, hasSecondTrans, machineTranslated, score = null) => {
+                const transName = machineTranslated ? `${transLangName} (MT)` : transLangName;
+                const scorePart = score !== null && score !== undefined ? ` (${score}%)` : '';
+                return hasSecondTrans
+                    ? `${transName} + ${secondTransLangName} TriSubs v${version}${scorePart}`
+                    : `${transName} DualSubs v${version}${scorePart}`;
+            };
+            // Best score first; variants without a score keep their search order after the scored ones
+            const rankVariants = (variantList) => [...variantList]
+                .sort((a, b) => {
+                    if ((a.score === null) !== (b.score === null)) {
+                        return a.score === null ? 1 : -1;
                     }
+                    return (b.score - a.score) || (a.order - b.order);
+                })
+                .slice(0, MAX_TRANSLATION_VARIANTS);
+            // Stremio subtitle entries of the ranked variants, numbered in score order
+            const toStremioSubtitles = (rankedVariants) => rankedVariants.map((variant, index) => ({
+                // Set the ID to the desired variant name. Adding the version number
+                // ensures the ID is unique if you generate multiple options.
+                id: buildLabel(index + 1, variant.hasSecondTrans, variant.transSubInfo.machineTranslated, variant.score),
+                url: variant.url,
+                // Set the lang to the main language to group it correctly.
+                lang: mainLang
+            }));
+
+            // Identical requests running at the same time (several clients opening the same episode)
+            // share one build and its progress, as long as they download with the same OpenSubtitles account
+            const buildKey = `${cacheKey}_${optionsKey}_${buildAccountKey(openSubtitlesAccount) || 'anonymous'}`;
+            if (!diagnostics && inFlightBuilds.has(buildKey)) {
+                console.log(`Joining the build already running for ${buildKey}.`);
+            }
+            const startBuild = () => {
+                const readyVariants = [];
+                const pipeline = (async () => {
+                    try {
+                        // --- Get Cookie ---
+                        const cookie = await refreshOpensubtitlesCookie();
+                        if (!cookie) {
+                             console.warn("Could not obtain a cookie. Downloads may fail due to Cloudflare protection.");
+                        }
+                        diagnostics?.set('cookie', cookie ? 'obtained' : 'missing');
+                        // --------------------
+
+                        // 1. Fetch the subtitle metadata lists of all languages at the same time
+                        console.log(`Fetching metadata lists for ${[mainLang, transLang, secondTransLang].filter(Boolean).join(', ')}`);
+                        const [rawMainSubInfoList, rawTransSubInfoList, rawSecondTransSubInfoList] = await Promise.all([
+                            fetchAndSelectSubtitle(mainLang, baseSearchParams, type, stream, providers),
+                            fetchAndSelectSubtitle(transLang, baseSearchParams, type, stream, providers),
+                            secondTransLang ? fetchAndSelectSubtitle(secondTransLang, baseSearchParams, type, stream, providers) : null
+                        ]);
+                        if (secondTransLang && (!rawSecondTransSubInfoList || rawSecondTransSubInfoList.length === 0)) {
+                            // Not fatal: fall back to regular dual subtitles
+                            console.warn(`No second translation language (${secondTransLang}) subtitles found. Continuing with dual subtitles.`);
+                        }
 
-                    console.log("Parsing main subtitle content...");
-                    const parsed = parseSrt(mainSubContent);
-                    if (!parsed) {
-                        console.warn(`Failed to parse content for main sub ID ${mainSubInfo.id}. Trying next candidate.`);
-                        continue;
-                    }
+                        // Subtitles flagged as hearing impaired are only used when nothing else is available
+                        const mainSubInfoList = preferCleanCandidates(rawMainSubInfoList);
+                        const transSubInfoList = preferCleanCandidates(rawTransSubInfoList);
+                        const secondTransSubInfoList = preferCleanCandidates(rawSecondTransSubInfoList);
 
-                    // Success!
-                    mainParsed = parsed;
-                    selectedMainSubInfo = mainSubInfo;
-                    console.log(`Successfully processed main subtitle (ID: ${selectedMainSubInfo.id}). Proceeding with translations.`);
-                    break; // Exit loop once a working main sub is found
-                }
+                        // Check if we have subtitles for both languages
+                        if (!mainSubInfoList || mainSubInfoList.length === 0) {
+                            console.log(`No main language (${mainLang}) subtitles found.`);
+                            diagnostics?.fail(`no main language (${mainLang}) subtitles found`);
+                            return { subtitles: [], cacheMaxAge: 60 };
+                        }
+                        const canMachineTranslate = !!machineTranslator && machineTranslator.supports(mainLang, transLang);
+                        if (!transSubInfoList || transSubInfoList.length === 0) {
+                            if (!canMachineTranslate) {
+                                console.warn(`No translation language (${transLang}) subtitles found. Returning empty results.`);
+                                diagnostics?.fail(`no translation language (${transLang}) subtitles found and no machine translation configured`);
+                                return { subtitles: [], cacheMaxAge: 60 };
+                            }
+                            console.log(`No translation language (${transLang}) subtitles found. Falling back to machine translation (${machineTranslator.name}).`);
+                        }
+                        
+                        // 2. Select the unique translation candidates to score
+                        const selectedTransSubs = [];
+                        const usedTransUrls = new Set();
+                        for (const transSub of transSubInfoList || []) {
+                            if (selectedTransSubs.length >= MAX_SCORED_TRANSLATION_CANDIDATES) break;
+                            if (!usedTransUrls.has(transSub.url)) {
+                                selectedTransSubs.push(transSub);
+                                usedTransUrls.add(transSub.url);
+                                console.log(`Selected translation candidate #${selectedTransSubs.length}: ID=${transSub.id}, HashMatch=${transSub.hashMatch}, ReleaseScore=${transSub.releaseScore}, Downloads=${transSub.downloads}, URL=${transSub.url}`);
+                            }
+                        }
 
-                if (!mainParsed) {
-                    console.error("Failed to fetch and parse any of the available main subtitles. Cannot proceed.");
-                    return { subtitles: [], cacheMaxAge: 60 };
-                }
+                        // Without a human translation, the main track is machine translated cue by cue
+                        if (selectedTransSubs.length === 0 && canMachineTranslate) {
+                            selectedTransSubs.push({ id: `mt-${machineTranslator.name}`, machineTranslated: true });
+                        }
 
-                // 4. Process Each Selected Translation Subtitle with the valid main subtitle
-                const finalSubtitles = [];
-                for (let i = 0; i < selectedTransSubs.length; i++) {
-                    const transSubInfo = selectedTransSubs[i];
-                    const version = i + 1;
-                    console.log(`Processing translation candidate v${version} (ID: ${transSubInfo.id})...`);
-
-                    // Fetch content
-                    const transSubContent = await fetchSubtitleContent(transSubInfo.url, transSubInfo.format, cookie);
-                    if (!transSubContent) {
-                        console.warn(`Failed to fetch content for translation v${version}. Skipping.`);
-                        continue; // Skip to next candidate
-                    }
+                        if (selectedTransSubs.length === 0) {
+                            console.error("Found translation metadata, but failed to select any unique candidates (this shouldn't happen if list was not empty).");
+                            diagnostics?.fail('no unique translation candidate');
+                            return { subtitles: [], cacheMaxAge: 60 };
+                        }
 
-                    // Parse content
-                    const transParsed = parseSrt(transSubContent);
-                    if (!transParsed) {
-                        console.warn(`Failed to parse content for translation v${version}. Skipping.`);
-                        continue; // Skip to next candidate
-                    }
+                        // Every subtitle download of this request goes through the same bounded pool
+                        const downloadPool = createTaskPool(MAX_PARALLEL_DOWNLOADS);
+                        const download = (subInfo) => downloadPool.run(() => providers.download(subInfo, { cookie }));
 
-                    // Merge with main
-                    console.log(`Merging main with translation v${version}...`);
-                    const mergedParsed = mergeSubtitles([...mainParsed], transParsed); // Use copy of mainParsed
-                    if (!mergedParsed || mergedParsed.length === 0) {
-                        console.warn(`Merging failed or resulted in empty subtitles for v${version}. Skipping.`);
-                        continue; // Skip to next candidate
-                    }
+                        // Downloads, parses and cleans a translation candidate once, for scoring main candidates
+                        // and for its own variant. Resolves to null when the candidate is unusable.
+                        const translationLoads = new Map();
+                        function loadTranslation(transSubInfo) {
+                            if (!translationLoads.has(transSubInfo)) {
+                                translationLoads.set(transSubInfo, fetchTranslation(transSubInfo));
+                            }
+                            return translationLoads.get(transSubInfo);
+                        }
 
-                    // Format to SRT
-                    console.log(`Formatting merged SRT for v${version}...`);
-                    const mergedSrtString = formatSrt(mergedParsed);
-                    if (!mergedSrtString) {
-                        console.warn(`Failed to format merged SRT for v${version}. Skipping.`);
-                        continue; // Skip to next candidate
-                    }
+                        async function fetchTranslation(transSubInfo) {
+                            const transSubContent = await download(transSubInfo);
+                            if (!transSubContent) {
+                                console.warn(`Failed to fetch content for translation ID ${transSubInfo.id}. Skipping.`);
+                                diagnostics?.recordOutcome('translation', transSubInfo, 'download failed');
+                                return null;
+                            }
 
-                    // --- Conditional Upload Logic --- 
-                    let uploadedToVercel = false;
-                    let uploadUrl = null;
-
-                    // Attempt Vercel Blob upload ONLY if not skipped
-                    if (!skipVercelBlob) {
-                        console.log(`Attempting Vercel Blob upload for v${version}...`);
-                        try {
-                            const blobFileName = type === 'series' && season && episode 
-                                ? `${imdbId}_S${season}E${episode}_${mainLang}_${transLang}_v${version}.srt` 
-                                : `${imdbId}_${mainLang}_${transLang}_v${version}.srt`;
-                            const { url } = await put(
-                                blobFileName,
-                                mergedSrtString,
-                                { access: 'public', addRandomSuffix: true }
-                            );
-                            console.log(`Uploaded v${version} to Vercel Blob: ${url}`);
-                            uploadUrl = url;
-                            uploadedToVercel = true;
-                        } catch (uploadError) {
-                            console.error(`Failed to upload merged SRT for v${version} to Vercel Blob: ${uploadError.message}`);
-                            // Do not throw, proceed to check Supabase fallback
+                            const rawTransParsed = parseSrt(transSubContent);
+                            if (!rawTransParsed) {
+                                console.warn(`Failed to parse content for translation ID ${transSubInfo.id}. Skipping.`);
+                                diagnostics?.recordOutcome('translation', transSubInfo, 'parse failed');
+                                return null;
+                            }
+                            diagnostics?.recordStep('translation', transSubInfo, 'parse', { cues: rawTransParsed.length });
+                            if (!transSubInfo.hearingImpaired && looksHearingImpaired(rawTransParsed)) {
+                                transSubInfo.hearingImpaired = true;
+                            }
+                            const transParsed = cleanupTrack(rawTransParsed, cleanup.translation);
+                            diagnostics?.recordStep('translation', transSubInfo, 'cleanup', { cues: transParsed.length, hearingImpaired: !!transSubInfo.hearingImpaired });
+                            if (transParsed.length === 0) {
+                                console.warn(`Translation ID ${transSubInfo.id} has no text left after cleanup. Skipping.`);
+                                diagnostics?.recordOutcome('translation', transSubInfo, 'no text left after cleanup');
+                                return null;
+                            }
+                            return transParsed;
                         }
-                    }
 
-                    // Attempt Supabase upload if Vercel was skipped OR failed
-                    if (!uploadUrl && supabase) {
-                        console.log(`Attempting Supabase Storage upload for v${version}...`);
-                        try {
-                            const supabaseFileName = type === 'series' && season && episode
-                                ? `${imdbId}/S${season}E${episode}_${mainLang}_${transLang}_v${version}.srt`
-                                : `${imdbId}/${mainLang}_${transLang}_v${version}.srt`;
-                            const { error: supabaseError } = await supabase
-                                .storage
-                                .from('subtitles') // Replace 'subtitles' with your bucket name
-                                .upload(supabaseFileName, mergedSrtString, {
-                                    cacheControl: '3600',
-                                    upsert: true,
-                                    contentType: 'text/srt; charset=utf-8'
-                                });
+                        // Aligns a translation onto a main track and scores the pair (see lib/scoring.js)
+                        function scorePair(mainTrack, mainSubInfo, transParsed, transSubInfo) {
+                            const alignment = alignSubtitles(mainTrack, transParsed);
+                            const metrics = measurePairAlignment(mainTrack, alignment.subtitles);
+                            return { alignment, metrics, score: scoreCandidatePair(metrics, mainSubInfo, transSubInfo) };
+                        }
+
+                        // 3. Find the main subtitle: the usable candidates are tried in list order and the first
+                        // MAX_SCORED_MAIN_CANDIDATES of them are scored against the first translation candidate.
+                        // This happens lazily, so translations that are already merged in the cache need no download.
+                        // The candidates running in parallel all wait for the same attempt.
+                        let mainParsed = null;
+                        let selectedMainSubInfo = null;
+                        let mainAttempted = false;
+                        let mainPromise = null;
+
+                        // Prefer the main subtitle the cached variants were built with, if it is still listed
+                        const previousMainSubInfo = previousEntry
+                            ? mainSubInfoList.find(sub => String(sub.id) === String(previousEntry.mainId))
+                            : null;
+
+                        function ensureMainParsed() {
+                            if (!mainPromise) {
+                                mainAttempted = true;
+                                mainPromise = parseMain();
+                            }
+                            return mainPromise;
+                        }
 
-                            if (supabaseError) throw supabaseError;
+                        async function parseMain() {
+                            const orderedMainSubs = previousMainSubInfo
+                                ? [previousMainSubInfo, ...mainSubInfoList.filter(sub => sub !== previousMainSubInfo)]
+                                : mainSubInfoList;
+                            // The cached main subtitle is kept as it is, so its merged variants stay reusable
+                            const wantedCount = previousMainSubInfo ? 1 : MAX_SCORED_MAIN_CANDIDATES;
+                            const usable = [];
+                            // A hearing impaired main subtitle nobody flagged is kept aside while the next candidate is tried
+                            let hearingImpairedFallback = null;
+                            const cleanMain = (mainSubInfo, parsed) => {
+                                const cleaned = cleanupTrack(parsed, cleanup.main);
+                                diagnostics?.recordStep('main', mainSubInfo, 'cleanup', { cues: cleaned.length });
+                                if (cleaned.length === 0) {
+                                    console.warn(`Main sub ID ${mainSubInfo.id} has no text left after cleanup.`);
+                                    diagnostics?.recordOutcome('main', mainSubInfo, 'no text left after cleanup');
+                                    return null;
+                                }
+                                return { mainSubInfo, cleaned };
+                            };
+                            for (const [index, mainSubInfo] of orderedMainSubs.entries()) {
+                                if (usable.length >= wantedCount) break;
+                                console.log(`Attempting to process main subtitle: ID=${mainSubInfo.id}, Downloads=${mainSubInfo.downloads}`);
+
+                                const mainSubContent = await download(mainSubInfo);
+                                if (!mainSubContent) {
+                                    console.warn(`Failed to fetch content for main sub ID ${mainSubInfo.id}. Trying next candidate.`);
+                                    diagnostics?.recordOutcome('main', mainSubInfo, 'download failed');
+                                    continue;
+                                }
+
+                                console.log("Parsing main subtitle content...");
+                                const parsed = parseSrt(mainSubContent);
+                                if (!parsed) {
+                                    console.warn(`Failed to parse content for main sub ID ${mainSubInfo.id}. Trying next candidate.`);
+                                    diagnostics?.recordOutcome('main', mainSubInfo, 'parse failed');
+                                    continue;
+                                }
+                                diagnostics?.recordStep('main', mainSubInfo, 'parse', { cues: parsed.length });
+
+                                if (!mainSubInfo.hearingImpaired && looksHearingImpaired(parsed)) {
+                                    mainSubInfo.hearingImpaired = true;
+                                    const hasAlternative = index < orderedMainSubs.length - 1 && mainSubInfo !== previousMainSubInfo;
+                                    if (hasAlternative && !hearingImpairedFallback) {
+                                        console.log(`Main sub ID ${mainSubInfo.id} looks hearing impaired. Trying the next candidate for a clean one.`);
+                                        diagnostics?.recordOutcome('main', mainSubInfo, 'looks hearing impaired, kept as a fallback');
+                                        hearingImpairedFallback = { mainSubInfo, parsed };
+                                        continue;
+                                    }
+                                }
+
+                                const candidate = cleanMain(mainSubInfo, parsed);
+                                if (candidate) {
+                                    usable.push(candidate);
+                                }
+                            }
+
+                            if (usable.length === 0 && hearingImpairedFallback) {
+                                console.log(`No clean main subtitle found. Using hearing impaired main sub ID ${hearingImpairedFallback.mainSubInfo.id}.`);
+                                const candidate = cleanMain(hearingImpairedFallback.mainSubInfo, hearingImpairedFallback.parsed);
+                                if (candidate) {
+                                    usable.push(candidate);
+                                }
+                            }
+                            if (usable.length === 0) {
+                                console.error("Failed to fetch and parse any of the available main subtitles. Cannot proceed.");
+                                return null;
+                            }
+
+                            // Several usable candidates: the one fitting the first translation best wins, the earlier one on a tie
+                            let chosen = usable[0];
+                            const referenceSubInfo = usable.length > 1 ? selectedTransSubs.find(sub => !sub.machineTranslated) : null;
+                            const referenceTrack = referenceSubInfo ? await loadTranslation(referenceSubInfo) : null;
+                            if (referenceTrack) {
+                                let bestScore = -1;
+                                for (const candidate of usable) {
+                                    const { metrics, score } = scorePair(candidate.cleaned, candidate.mainSubInfo, referenceTrack, referenceSubInfo);
+                                    diagnostics?.recordStep('main', candidate.mainSubInfo, 'score', { translationId: String(referenceSubInfo.id), ...metrics, score });
+                                    console.log(`Score of main sub ID ${candidate.mainSubInfo.id} against translation ID ${referenceSubInfo.id}: ${score}.`);
+                                    if (score > bestScore) {
+                                        bestScore = score;
+                                        chosen = candidate;
+                                    }
+                                }
+                            }
+                            usable.filter(candidate => candidate !== chosen).forEach(candidate => {
+                                diagnostics?.recordOutcome('main', candidate.mainSubInfo, 'scored lower');
+                            });
+
+                            mainParsed = chosen.cleaned;
+                            selectedMainSubInfo = chosen.mainSubInfo;
+                            diagnostics?.recordOutcome('main', selectedMainSubInfo, 'used');
+                            console.log(`Successfully processed main subtitle (ID: ${selectedMainSubInfo.id}). Proceeding with translations.`);
+                            return mainParsed;
+                        }
+
+                        // 3b. Pick one second translation for tri-subs mode, shared by every variant so the
+                        // number of downloads stays bounded: candidates are tried in order until one aligns well.
+                        let secondTransAligned = null;
+                        let selectedSecondTransSubInfo = null;
+                        let secondTransAttempted = false;
+                        let secondTransPromise = null;
+                        const previousSecondTransId = previousEntry ? previousEntry.secondTransId : null;
+
+                        function ensureSecondTransParsed() {
+                            if (!secondTransSubInfoList || secondTransSubInfoList.length === 0) {
+                                return Promise.resolve(secondTransAligned);
+                            }
+                            if (!secondTransPromise) {
+                                secondTransAttempted = true;
+                                secondTransPromise = parseSecondTrans();
+                            }
+                            return secondTransPromise;
+                        }
 
-                            const { data: publicUrlData } = supabase
-                                .storage
-                                .from('subtitles') // Replace 'subtitles' with your bucket name
-                                .getPublicUrl(supabaseFileName);
+                        async function parseSecondTrans() {
+                            const previousSecondTransSubInfo = secondTransSubInfoList.find(sub => String(sub.id) === String(previousSecondTransId));
+                            const orderedSecondTransSubs = previousSecondTransSubInfo
+                                ? [previousSecondTransSubInfo, ...secondTransSubInfoList.filter(sub => sub !== previousSecondTransSubInfo)]
+                                : secondTransSubInfoList;
+                            let bestConfidence = -1;
+                            for (const secondTransSubInfo of orderedSecondTransSubs.slice(0, MAX_SECOND_TRANS_ATTEMPTS)) {
+                                console.log(`Attempting to process second translation subtitle: ID=${secondTransSubInfo.id}`);
+                                const content = await download(secondTransSubInfo);
+                                const parsed = content ? cleanupTrack(parseSrt(content), cleanup.translation) : null;
+                                if (!parsed || parsed.length === 0) {
+                                    console.warn(`Failed to fetch or parse second translation ID ${secondTransSubInfo.id}. Trying next candidate.`);
+                                    diagnostics?.recordOutcome('secondTranslation', secondTransSubInfo, content ? 'parse failed or no text left after cleanup' : 'download failed');
+                                    continue;
+                                }
+                                const alignment = alignSubtitles(mainParsed, parsed);
+                                diagnostics?.recordStep('secondTranslation', secondTransSubInfo, 'alignment', summarizeAlignment(alignment));
+                                diagnostics?.recordOutcome('secondTranslation', secondTransSubInfo, 'aligned');
+                                if (alignment.confidence > bestConfidence) {
+                                    bestConfidence = alignment.confidence;
+                                    secondTransAligned = alignment.subtitles;
+                                    selectedSecondTransSubInfo = secondTransSubInfo;
+                                }
+                                if (alignment.confidence >= GOOD_ALIGNMENT_CONFIDENCE) {
+                                    break;
+                                }
+                            }
 
-                            if (!publicUrlData || !publicUrlData.publicUrl) {
-                                console.error(`Supabase upload successful for v${version}, but failed to get public URL.`);
+                            if (selectedSecondTransSubInfo) {
+                                diagnostics?.recordOutcome('secondTranslation', selectedSecondTransSubInfo, 'used');
+                                console.log(`Using second translation ID ${selectedSecondTransSubInfo.id} (alignment confidence ${bestConfidence.toFixed(2)}).`);
                             } else {
-                                uploadUrl = publicUrlData.publicUrl;
-                                console.log(`Uploaded v${version} to Supabase: ${uploadUrl}`);
+                                console.warn("Failed to process any second translation candidate. Continuing with dual subtitles.");
                             }
-                        } catch (supabaseUploadError) {
-                            console.error(`Supabase Storage upload failed for v${version}: ${supabaseUploadError.message}`);
-                             // Log error, don't add to final results if both failed
+                            return secondTransAligned;
                         }
-                    } else if (!uploadUrl && !supabase) {
-                        // This case handles when Vercel was skipped/failed AND Supabase isn't configured
-                         console.warn(`Skipping upload for v${version}: Vercel Blob skipped or failed, and Supabase client is not initialized.`);
-                    } else if (uploadUrl && !uploadedToVercel && skipVercelBlob) {
-                         // This case handles when Vercel was skipped but Supabase succeeded (already logged)
-                         console.log(`Upload for v${version} completed via Supabase (Vercel was skipped).`);
-                    } // Else: Vercel succeeded, no need for Supabase.
-                    
-
-                    // =================================================================
-                    // ========= START: MODIFICATION FOR CUSTOM DISPLAY NAME ===========
-                    // =================================================================
-                    
-                    // Add to results if an upload was successful
-                    if (uploadUrl) {
-                         // Get the full, human-readable name of the translation language
-                         const transLangName = languageMap[transLang] || transLang;
-
-                         finalSubtitles.push({
-                             // Set the ID to the desired variant name. Adding the version number
-                             // ensures the ID is unique if you generate multiple options.
-                             id: `${transLangName} DualSubs v${version}`,
-                             
-                             url: uploadUrl,
-                             
-                             // Set the lang to the main language to group it correctly.
-                             lang: mainLang
-                         });
-                    } else {
-                         console.warn(`Failed to upload v${version} to either Vercel Blob or Supabase Storage.`);
+
+                        // Reading aid annotator for the main language, created on the first merge
+                        let readingAnnotatorPromise = null;
+                        function ensureReadingAnnotator() {
+                            if (layout.readingAid === 'off') return Promise.resolve(null);
+                            if (!readingAnnotatorPromise) {
+                                readingAnnotatorPromise = createReadingAnnotator(mainLang, { japaneseScript: layout.japaneseReading })
+                                    .catch(error => {
+                                        console.error(`Failed to load the reading aid for ${mainLang}: ${error.message}. Continuing without it.`);
+                                        return null;
+                                    });
+                            }
+                            return readingAnnotatorPromise;
+                        }
+
+                        // Translates the main track line by line, so the translation shares its timing
+                        async function machineTranslateMain() {
+                            try {
+                                const translations = await machineTranslator.translateLines(
+                                    mainParsed.map(sub => cleanCueText(sub.text, languageDirection(mainLang))),
+                                    {
+                                        source: mainLang,
+                                        target: transLang,
+                                        cacheScope: `${mainLang}_${transLang}_${selectedMainSubInfo.id}`,
+                                        // A dry run stores nothing, not even translated lines
+                                        readOnly: !!diagnostics
+                                    }
+                                );
+                                return mainParsed.map((sub, index) => ({ ...sub, text: translations[index] }));
+                            } catch (error) {
+                                console.error(`Machine translation failed (${machineTranslator.name}): ${error.message}`);
+                                return null;
+                            }
+                        }
+
+                        // 4. Build every candidate on its own: download, align and score it against the main track,
+                        // then merge and upload it. Finished variants are collected in readyVariants, so the ones
+                        // ready at the deadline can be returned. Variants merged earlier from the same candidates
+                        // are reused with their stored score.
+                        async function buildVariant(transSubInfo, order) {
+                            const canReuseMain = previousMainSubInfo && (!mainParsed || selectedMainSubInfo === previousMainSubInfo);
+                            const canReuseSecondTrans = !secondTransAttempted
+                                || String(selectedSecondTransSubInfo ? selectedSecondTransSubInfo.id : null) === String(previousSecondTransId);
+                            if (canReuseMain && canReuseSecondTrans) {
+                                const reusedVariantKey = buildVariantKey(previousMainSubInfo.id, transSubInfo.id, previousSecondTransId);
+                                const cachedUrl = previousEntry.variants[reusedVariantKey];
+                                if (cachedUrl) {
+                                    const score = previousEntry.scores[reusedVariantKey] ?? null;
+                                    console.log(`Reusing cached merge for translation ID ${transSubInfo.id} (score ${score}).`);
+                                    readyVariants.push({
+                                        transSubInfo, score, order, url: cachedUrl, variantKey: reusedVariantKey,
+                                        hasSecondTrans: !!previousSecondTransId, reused: true
+                                    });
+                                    return;
+                                }
+                            }
+
+                            if (!(await ensureMainParsed())) {
+                                diagnostics?.recordOutcome('translation', transSubInfo, 'no usable main subtitle');
+                                return;
+                            }
+                            await ensureSecondTransParsed();
+
+                            let translationTrack;
+                            let score = null;
+                            if (transSubInfo.machineTranslated) {
+                                // Machine translations share the main timing, so measuring them says nothing
+                                translationTrack = await machineTranslateMain();
+                                if (!translationTrack) {
+                                    diagnostics?.recordOutcome('translation', transSubInfo, 'machine translation failed');
+                                    return;
+                                }
+                            } else {
+                                const transParsed = await loadTranslation(transSubInfo);
+                                if (!transParsed) {
+                                    return;
+                                }
+
+                                // Align the translation onto the main timeline (constant offset, linear drift and frame rate mismatches)
+                                const { alignment, metrics, score: pairScore } = scorePair(mainParsed, selectedMainSubInfo, transParsed, transSubInfo);
+                                translationTrack = alignment.subtitles;
+                                score = pairScore;
+                                diagnostics?.recordStep('translation', transSubInfo, 'alignment', summarizeAlignment(alignment));
+                                diagnostics?.recordStep('translation', transSubInfo, 'score', { ...metrics, score });
+                                console.log(`Score of translation ID ${transSubInfo.id}: ${score} (matched ${(metrics.matchedRatio * 100).toFixed(0)}%, `
+                                    + `timing error ${metrics.meanTimingErrorMs === null ? '-' : Math.round(metrics.meanTimingErrorMs)}ms, `
+                                    + `cue ratio ${metrics.cueCountRatio.toFixed(2)}, alignment applied=${alignment.applied}, `
+                                    + `rating ${transSubInfo.rating}, HI=${!!transSubInfo.hearingImpaired}, release ${transSubInfo.releaseScore}).`);
+                            }
+
+                            const readingAnnotator = await ensureReadingAnnotator();
+                            const frequencyRanks = layout.difficultyThreshold > 0 ? await loadFrequencyList(mainLang) : null;
+
+                            // Merge with main
+                            console.log(`Merging main with translation ID ${transSubInfo.id} (score ${score})...`);
+                            const mergedParsed = mergeSubtitles([...mainParsed], translationTrack, { layout, secondTransSubs: secondTransAligned, readingAnnotator, frequencyRanks }); // Use copy of mainParsed
+                            if (!mergedParsed || mergedParsed.length === 0) {
+                                console.warn(`Merging failed or resulted in empty subtitles for translation ID ${transSubInfo.id}. Skipping.`);
+                                diagnostics?.recordOutcome('translation', transSubInfo, 'merge produced no cues');
+                                return;
+                            }
+                            diagnostics?.recordStep('translation', transSubInfo, 'merge', { cues: mergedParsed.length });
+
+                            // Format to SRT, ASS or WebVTT
+                            const mergedString = formatMerged(mergedParsed, styleConfig);
+                            if (!mergedString) {
+                                console.warn(`Failed to format merged subtitles for translation ID ${transSubInfo.id}. Skipping.`);
+                                diagnostics?.recordOutcome('translation', transSubInfo, `formatting as ${styleConfig.format} failed`);
+                                return;
+                            }
+
+                            // --- Upload through the configured storage backend ---
+                            const variantKey = buildVariantKey(
+                                selectedMainSubInfo.id,
+                                transSubInfo.id,
+                                selectedSecondTransSubInfo ? selectedSecondTransSubInfo.id : null
+                            );
+                            const fileBaseKey = `${cacheKey}_${optionsKey}_${variantKey}`;
+                            const fileKey = `${fileBaseKey}.${styleConfig.format}`;
+                            if (diagnostics) {
+                                diagnostics.recordStep('translation', transSubInfo, 'upload', {
+                                    backend: storage.name,
+                                    key: fileKey,
+                                    bytes: Buffer.byteLength(mergedString),
+                                    stored: false
+                                });
+                                diagnostics.recordOutcome('translation', transSubInfo, 'ready');
+                                readyVariants.push({
+                                    transSubInfo, score, order, url: null, variantKey, fileKey, fileBaseKey,
+                                    hasSecondTrans: !!selectedSecondTransSubInfo, reused: false
+                                });
+                                return;
+                            }
+                            let uploadUrl = null;
+                            try {
+                                uploadUrl = await storage.put(fileKey, mergedString, { contentType: contentTypeForKey(fileKey) });
+                            } catch (uploadError) {
+                                console.error(`Failed to store merged subtitles for translation ID ${transSubInfo.id} (${storage.name}): ${uploadError.message}`);
+                            }
+                            if (!uploadUrl) {
+                                console.warn(`Failed to upload translation ID ${transSubInfo.id} to any storage backend (${storage.name}).`);
+                                diagnostics?.recordOutcome('translation', transSubInfo, 'upload failed');
+                                return;
+                            }
+
+                            // Keep the aligned pairs for the export route; the merged file works without them
+                            try {
+                                await storage.put(buildPairsKey(fileBaseKey), JSON.stringify(toPairs(mergedParsed)), {
+                                    contentType: 'application/json; charset=utf-8'
+                                });
+                            } catch (pairsError) {
+                                console.warn(`Failed to store aligned pairs for translation ID ${transSubInfo.id}: ${pairsError.message}`);
+                            }
+
+                            readyVariants.push({
+                                transSubInfo, score, order, url: uploadUrl, variantKey, fileKey, fileBaseKey,
+                                hasSecondTrans: !!selectedSecondTransSubInfo, reused: false
+                            });
+                        }
+
+                        await Promise.all(selectedTransSubs.map((transSubInfo, order) => buildVariant(transSubInfo, order)
+                            .catch(error => {
+                                console.error(`Error building the variant for translation ID ${transSubInfo.id}:`, error.message);
+                                diagnostics?.recordOutcome('translation', transSubInfo, `error: ${error.message}`);
+                            })));
+
+                        // 5. Keep the best variants; merged files that did not make it are removed again,
+                        // unless a partial response already gave their URL to a client
+                        const rankedVariants = rankVariants(readyVariants);
+                        for (const variant of readyVariants) {
+                            if (!variant.reused && !variant.handedOut && !rankedVariants.includes(variant) && !diagnostics) {
+                                await storage.del(variant.fileKey);
+                                await storage.del(buildPairsKey(variant.fileBaseKey));
+                            }
+                        }
+                        const finalSubtitles = toStremioSubtitles(rankedVariants);
+
+                        if (mainAttempted && !mainParsed && finalSubtitles.length === 0) {
+                            diagnostics?.fail('none of the main subtitles could be downloaded and parsed');
+                            return { subtitles: [], cacheMaxAge: 60 };
+                        }
+                        if (finalSubtitles.length === 0) {
+                            console.warn("Processed translation candidates, but none resulted in a usable subtitle file. Returning empty.");
+                            diagnostics?.fail('none of the translation candidates resulted in a usable subtitle file');
+                        } else if (diagnostics) {
+                            diagnostics.set('ranking', rankedVariants.map((variant, index) => ({
+                                version: index + 1,
+                                translationId: String(variant.transSubInfo.id),
+                                score: variant.score,
+                                key: variant.fileKey
+                            })));
+                        } else {
+                            const variants = {};
+                            const scores = {};
+                            for (const variant of rankedVariants) {
+                                variants[variant.variantKey] = variant.url;
+                                scores[variant.variantKey] = variant.score;
+                            }
+                            await resultCache.set(cacheKey, optionsKey, {
+                                subtitles: finalSubtitles,
+                                mainId: selectedMainSubInfo ? selectedMainSubInfo.id : previousMainSubInfo.id,
+                                secondTransId: secondTransAttempted
+                                    ? (selectedSecondTransSubInfo ? selectedSecondTransSubInfo.id : null)
+                                    : previousSecondTransId,
+                                variants,
+                                scores
+                            });
+                        }
+
+                        return {
+                            subtitles: finalSubtitles,
+                            cacheMaxAge: 6 * 3600, // Cache for 6 hours
+                            staleRevalidate: 24 * 3600 // Allow stale for 1 day
+                        };
+
+                    } catch (error) {
+                        console.error('Error in subtitle handler:', error.message, error.stack);
+                        diagnostics?.fail(`error: ${error.message}`);
+                        return { subtitles: [], cacheMaxAge: 60 }; // Cache failure briefly
+                    }
+                })();
+                return { readyVariants, promise: pipeline };
+            };
+            // Dry runs build on their own, their downloads must not end up in a shared build
+            const { readyVariants, promise: pipeline } = diagnostics ? startBuild() : inFlightBuilds.run(buildKey, startBuild);
+
+            if (waitForAll) {
+                return pipeline;
+            }
+            const outcome = await waitUntil(pipeline, deadline);
+            if (outcome.done) {
+                return outcome.value;
+            }
+            // Stremio asks again once the short cache age runs out and then gets the full result from the cache
+            const partialVariants = rankVariants(readyVariants);
+            partialVariants.forEach(variant => {
+                variant.handedOut = true;
+            });
+            const partialSubtitles = toStremioSubtitles(partialVariants);
+            console.log(`Response deadline of ${RESPONSE_DEADLINE_MS}ms reached with ${partialSubtitles.length} variant(s) ready. The others keep building in the background.`);
+            return { subtitles: partialSubtitles, cacheMaxAge: PARTIAL_RESULT_CACHE_MAX_AGE };
+        };
+        builder.defineSubtitlesHandler(subtitlesHandler);
+
+        // --- Start Server (Inside IIFE) ---
+        const { server } = await serveHTTP(builder.getInterface(), { port: ADDON_PORT });
+
+        const extraRoutes = [
+            // Forces the next subtitle request for a title to rebuild its merged results,
+            // e.g. /refresh/series/tt12345:1:2.json?mainLang=eng&transLang=tur
+            // (plus secondTransLang for tri-subs and videoHash for a specific file)
+            {
+                pattern: /^\/refresh\/(movie|series)\/([^/]+)\.json$/,
+                handler: async ({ params: [type, id], query }) => {
+                    const { imdbId, season, episode } = parseMediaId(id);
+                    const mainLang = parseLangCode(query.mainLang);
+                    const transLang = parseLangCode(query.transLang);
+                    if (!imdbId || !imdbId.startsWith('tt') || !mainLang || !transLang) {
+                        return {
+                            status: 400,
+                            contentType: 'application/json; charset=utf-8',
+                            body: JSON.stringify({ err: 'expected a tt id plus mainLang and transLang query parameters' })
+                        };
                     }
-                    
-                    // =================================================================
-                    // ========== END: MODIFICATION FOR CUSTOM DISPLAY NAME ============
-                    // =================================================================
+                    const cacheKey = buildCacheKey({
+                        imdbId,
+                        season: type === 'series' ? season : undefined,
+                        episode: type === 'series' ? episode : undefined,
+                        mainLang,
+                        transLang,
+                        secondTransLang: query.secondTransLang ? parseLangCode(query.secondTransLang) : null,
+                        videoHash: query.videoHash
+                    });
+                    await resultCache.invalidate(cacheKey);
+                    return {
+                        contentType: 'application/json; charset=utf-8',
+                        body: JSON.stringify({ invalidated: cacheKey })
+                    };
                 }
+            }
+        ];
+
+        // Rolling error rate, latency and circuit state of every subtitle provider
+        extraRoutes.push({
+            pattern: /^\/health\.json$/,
+            handler: async () => ({
+                contentType: 'application/json; charset=utf-8',
+                body: JSON.stringify({ providers: providerHealth.snapshot() }, null, 2)
+            })
+        });
 
-                // 5. Return results
-                if (finalSubtitles.length === 0) {
-                    console.warn("Processed translation candidates, but none resulted in a usable subtitle file. Returning empty.");
+        // Dry run of the subtitle pipeline for one title, reporting what happened at every step:
+        // /debug/series/tt12345:1:2.json?mainLang=eng&transLang=tur
+        // The other query parameters are read as the addon configuration (secondTransLang, outputFormat...),
+        // except filename, videoHash and videoSize, which describe the file being played.
+        // Anyone could otherwise spend the server's rate limits and download quota, so it is opt-in.
+        if (DEBUG_ROUTES) {
+            extraRoutes.push({
+                pattern: /^\/debug\/(movie|series)\/([^/]+)\.json$/,
+                handler: async ({ params: [type, id], query }) => {
+                    const { filename, videoHash, videoSize, ...config } = query;
+                    if (!parseMediaId(id).imdbId || !parseLangCode(config.mainLang) || !parseLangCode(config.transLang)) {
+                        return {
+                            status: 400,
+                            contentType: 'application/json; charset=utf-8',
+                            body: JSON.stringify({ err: 'expected a tt id plus mainLang and transLang query parameters' })
+                        };
+                    }
+                    const extra = Object.fromEntries(Object.entries({ filename, videoHash, videoSize }).filter(([, value]) => value));
+                    const diagnostics = createDiagnostics({ type, id, extra, config: redactConfig(config) });
+
+                    // Nothing is stored during the dry run, so a small probe file tells whether uploads would work
+                    const probeKey = `debug_probe_${Date.now()}.txt`;
+                    try {
+                        const probeUrl = await storage.put(probeKey, 'probe', { contentType: 'text/plain; charset=utf-8' });
+                        await storage.del(probeKey);
+                        diagnostics.set('storage', { backend: storage.name, writable: !!probeUrl });
+                    } catch (error) {
+                        diagnostics.set('storage', { backend: storage.name, writable: false, error: error.message });
+                    }
+
+                    const result = await diagnostics.run(() => subtitlesHandler({ type, id, extra, config }, { waitForAll: true, diagnostics }));
+                    diagnostics.set('providers', providerHealth.snapshot());
+                    return {
+                        contentType: 'application/json; charset=utf-8',
+                        body: JSON.stringify(diagnostics.finish(result), null, 2)
+                    };
+                }
+            });
+        }
+
+        // Aligned main/translation pairs of a merged subtitle, for flashcards and study tools:
+        // /export/series/tt12345:1:2.tsv?mainLang=eng&transLang=tur (csv, tsv for Anki, or json)
+        // version picks the subtitle variant (1 by default), videoHash the file; the other query parameters
+        // are read as the addon configuration (layout, cleanup...). Only titles already merged for that
+        // configuration are exported: anyone could otherwise spend the server's rate limits and download quota.
+        extraRoutes.push({
+            pattern: /^\/export\/(movie|series)\/([^/]+)\.(csv|tsv|json)$/,
+            handler: async ({ params: [type, id, format], query }) => {
+                const jsonError = (status, err) => ({
+                    status,
+                    contentType: 'application/json; charset=utf-8',
+                    body: JSON.stringify({ err })
+                });
+                const { imdbId, season, episode } = parseMediaId(id);
+                const mainLang = parseLangCode(query.mainLang);
+                const transLang = parseLangCode(query.transLang);
+                const secondTransLang = query.secondTransLang ? parseLangCode(query.secondTransLang) : null;
+                if (!imdbId || !imdbId.startsWith('tt') || !mainLang || !transLang) {
+                    return jsonError(400, 'expected a tt id plus mainLang and transLang query parameters');
                 }
 
+                // The subtitle handler looks up the cache entry for the export's settings
+                const { version: versionParam, videoHash, ...config } = query;
+                const result = await subtitlesHandler({
+                    type,
+                    id,
+                    extra: videoHash ? { videoHash } : {},
+                    config
+                }, { withPairsKeys: true, cachedOnly: true });
+                if (!result.subtitles || result.subtitles.length === 0) {
+                    return jsonError(404, 'no merged subtitles cached for this title, language pair and configuration, request the subtitles in Stremio first');
+                }
+
+                const version = parseInt(versionParam, 10) || 1;
+                const subtitle = result.subtitles[version - 1];
+                if (!subtitle) {
+                    return jsonError(404, `version ${version} does not exist, ${result.subtitles.length} available`);
+                }
+                const pairsKey = (result.pairsKeys || [])[version - 1];
+                const rawPairs = pairsKey ? await storage.get(pairsKey) : null;
+                if (!rawPairs) {
+                    // Results merged before pairs were stored have none: /refresh the title and request it again
+                    return jsonError(404, 'no aligned pairs stored for this subtitle, refresh the title and try again');
+                }
+                let pairs;
+                try {
+                    pairs = typeof rawPairs === 'string' ? JSON.parse(rawPairs) : rawPairs;
+                } catch (error) {
+                    console.error(`Stored aligned pairs ${pairsKey} are not valid JSON:`, error.message);
+                    return jsonError(500, 'the stored aligned pairs are damaged, refresh the title and try again');
+                }
+
+                const exporter = EXPORT_FORMATS[format];
+                const body = format === 'json'
+                    ? exporter.format(pairs, { type, id, mainLang, transLang, secondTransLang, subtitle: subtitle.id })
+                    : exporter.format(pairs);
                 return {
-                    subtitles: finalSubtitles,
-                    cacheMaxAge: 6 * 3600, // Cache for 6 hours
-                    staleRevalidate: 24 * 3600 // Allow stale for 1 day
+                    contentType: exporter.contentType,
+                    body,
+                    headers: {
+                        'Content-Disposition': `attachment; filename="${sanitizeKey(`${id}_${mainLang}_${transLang}_v${version}`)}.${format}"`
+                    }
                 };
-
-            } catch (error) {
-                console.error('Error in subtitle handler:', error.message, error.stack);
-                return { subtitles: [], cacheMaxAge: 60 }; // Cache failure briefly
             }
         });
 
-        // --- Start Server (Inside IIFE) ---
-        serveHTTP(builder.getInterface(), { port: ADDON_PORT });
+        // Serve merged subtitles kept by the filesystem or memory storage backends
+        if (storage.servesLocally) {
+            extraRoutes.push({
+                pattern: new RegExp(`^${MERGED_ROUTE_PREFIX}([^/]+)$`),
+                handler: async ({ params: [key] }) => {
+                    const content = await storage.serve(key);
+                    if (content === null) return null;
+                    return { contentType: contentTypeForKey(key), body: content };
+                }
+            });
+            console.log(`Serving merged subtitles at ${MERGED_ROUTE_PREFIX}<key>`);
+        }
+
+        attachRoutes(server, extraRoutes);
 
     } catch (err) {
         console.error("Failed to import srt-parser-2 or setup addon:", err);
@@ -0,0 +1,259 @@
+// Alignment of the translation track onto the main track's timeline.
+// Releases with a different intro length or a slightly different speed shift every
+// translation cue by a constant offset or a linearly growing drift. We estimate the model
+//   mainTime = transTime * scale + offset
+// from the cue onsets, retime the translation with it and report how confident we are.
+
+const { parseTimeToMs, formatMsToTime } = require('./time');
+
+// Frame rates that get mixed up between releases: NTSC film, film and PAL.
+// A PAL (25 fps) translation paired with a 23.976 fps main track runs about 4% fast.
+const STANDARD_FRAME_RATES = [24000 / 1001, 24, 25];
+
+const DEFAULT_ALIGN_OPTIONS = {
+    maxOffsetMs: 120000,        // Largest constant offset searched for
+    binMs: 100,                 // Histogram resolution of the coarse offset search
+    // Candidate drift ratios tried by the coarse search (+-0.2% around no drift)
+    scales: [0.998, 0.9985, 0.999, 0.9995, 1, 1.0005, 1.001, 1.0015, 1.002],
+    frameRates: STANDARD_FRAME_RATES, // Frame rate pairs whose ratio is also tried as a drift scale
+    pairToleranceMs: 1500,      // How far an onset may be from its anchor while refining
+    matchToleranceMs: 400,      // How close onsets must be to count as matched in the confidence score
+    minAnchors: 10,             // Minimum anchor pairs needed for the regression
+    minConfidence: 0.25,        // Below this the estimated model is not applied
+    minImprovement: 0.05        // Required confidence gain over leaving the track as is
+};
+
+function getOnsets(subs) {
+    return subs
+        .filter(sub => sub && sub.startTime)
+        .map(sub => parseTimeToMs(sub.startTime))
+        .sort((a, b) => a - b);
+}
+
+// Index of the value in a sorted array closest to target
+function nearestIndex(sortedValues, target) {
+    let low = 0;
+    let high = sortedValues.length - 1;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (sortedValues[mid] < target) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    if (low > 0 && Math.abs(sortedValues[low - 1] - target) <= Math.abs(sortedValues[low] - target)) {
+        return low - 1;
+    }
+    return low;
+}
+
+function applyModel(timeMs, model) {
+    return timeMs * model.scale + model.offset;
+}
+
+// Pairs every main onset with the nearest retimed translation onset within tolerance
+function findAnchors(mainOnsets, transOnsets, model, toleranceMs) {
+    if (transOnsets.length === 0) return [];
+    const mapped = transOnsets.map(time => applyModel(time, model));
+    const anchors = [];
+    for (const mainTime of mainOnsets) {
+        const index = nearestIndex(mapped, mainTime);
+        if (Math.abs(mapped[index] - mainTime) <= toleranceMs) {
+            anchors.push({ transTime: transOnsets[index], mainTime });
+        }
+    }
+    return anchors;
+}
+
+// Share of cues that line up once the model is applied, 0..1
+function matchRatio(mainOnsets, transOnsets, model, toleranceMs) {
+    const expected = Math.min(mainOnsets.length, transOnsets.length);
+    if (expected === 0) return 0;
+    return Math.min(1, findAnchors(mainOnsets, transOnsets, model, toleranceMs).length / expected);
+}
+
+// Coarse search: for one drift scale, vote for the offset between every main onset and
+// every scaled translation onset within maxOffsetMs and keep the strongest peak
+function coarseOffsetForScale(mainOnsets, transOnsets, scale, options) {
+    const { maxOffsetMs, binMs } = options;
+    const binCount = Math.floor((2 * maxOffsetMs) / binMs) + 1;
+    const votes = new Int32Array(binCount);
+    const scaled = transOnsets.map(time => time * scale);
+
+    let windowStart = 0;
+    for (const mainTime of mainOnsets) {
+        while (windowStart < scaled.length && scaled[windowStart] < mainTime - maxOffsetMs) {
+            windowStart++;
+        }
+        for (let i = windowStart; i < scaled.length && scaled[i] <= mainTime + maxOffsetMs; i++) {
+            const bin = Math.round((mainTime - scaled[i] + maxOffsetMs) / binMs);
+            if (bin >= 0 && bin < binCount) votes[bin]++;
+        }
+    }
+
+    // Smooth over neighbouring bins so jitter in the cue timings does not split the peak
+    let bestBin = -1;
+    let bestVotes = 0;
+    for (let bin = 1; bin < binCount - 1; bin++) {
+        const smoothed = votes[bin - 1] + votes[bin] + votes[bin + 1];
+        if (smoothed > bestVotes) {
+            bestVotes = smoothed;
+            bestBin = bin;
+        }
+    }
+
+    return {
+        scale,
+        offset: bestBin * binMs - maxOffsetMs,
+        votes: bestVotes
+    };
+}
+
+// Least squares fit of mainTime = transTime * scale + offset
+function fitLine(anchors) {
+    const count = anchors.length;
+    let sumX = 0, sumY = 0;
+    for (const { transTime, mainTime } of anchors) {
+        sumX += transTime;
+        sumY += mainTime;
+    }
+    const meanX = sumX / count;
+    const meanY = sumY / count;
+    let covariance = 0, variance = 0;
+    for (const { transTime, mainTime } of anchors) {
+        covariance += (transTime - meanX) * (mainTime - meanY);
+        variance += (transTime - meanX) * (transTime - meanX);
+    }
+    if (variance === 0) return null;
+    const scale = covariance / variance;
+    return { scale, offset: meanY - scale * meanX };
+}
+
+// Robust regression: refit on the anchors, drop the outliers and re-pair with the new model
+function refineModel(mainOnsets, transOnsets, coarseModel, options) {
+    let model = coarseModel;
+    for (let iteration = 0; iteration < 4; iteration++) {
+        const tolerance = iteration === 0 ? options.pairToleranceMs : options.pairToleranceMs / 2;
+        const anchors = findAnchors(mainOnsets, transOnsets, model, tolerance);
+        if (anchors.length < options.minAnchors) break;
+
+        const residuals = anchors.map(anchor => Math.abs(applyModel(anchor.transTime, model) - anchor.mainTime));
+        const sortedResiduals = [...residuals].sort((a, b) => a - b);
+        const median = sortedResiduals[Math.floor(sortedResiduals.length / 2)];
+        const cutoff = Math.max(3 * median, 200);
+        const inliers = anchors.filter((_, index) => residuals[index] <= cutoff);
+        if (inliers.length < options.minAnchors) break;
+
+        const fitted = fitLine(inliers);
+        // A fit far away from the coarse scale means the anchors were mostly wrong pairs
+        if (!fitted || Math.abs(fitted.scale / coarseModel.scale - 1) > 0.005) break;
+        model = fitted;
+    }
+    return model;
+}
+
+// Scales that convert a translation timed for one frame rate to a main track timed for another.
+// Translation times shrink when its release is sped up, so mainTime = transTime * transFps / mainFps.
+function frameRateScales(frameRates) {
+    const scales = [];
+    for (const mainFps of frameRates) {
+        for (const transFps of frameRates) {
+            if (mainFps === transFps) continue;
+            scales.push({ scale: transFps / mainFps, mainFps, transFps });
+        }
+    }
+    return scales;
+}
+
+// Names the frame rate conversion a fitted scale corresponds to, if any
+function detectFrameRateMismatch(scale, frameRates) {
+    for (const candidate of frameRateScales(frameRates)) {
+        if (Math.abs(scale / candidate.scale - 1) < 0.0002) {
+            return {
+                main: Number(candidate.mainFps.toFixed(3)),
+                translation: Number(candidate.transFps.toFixed(3))
+            };
+        }
+    }
+    return null;
+}
+
+function retimeSubtitles(subs, model) {
+    return subs.map(sub => ({
+        ...sub,
+        startTime: formatMsToTime(applyModel(parseTimeToMs(sub.startTime), model)),
+        endTime: formatMsToTime(applyModel(parseTimeToMs(sub.endTime), model))
+    }));
+}
+
+// Estimates offset and drift of transSubs relative to mainSubs.
+// Returns the (possibly retimed) translation together with the estimated model:
+//   { subtitles, offsetMs, scale, frameRate, confidence, baselineConfidence, anchors, applied }
+// frameRate is { main, translation } when the drift matches a standard frame rate mismatch.
+function alignSubtitles(mainSubs, transSubs, userOptions = {}) {
+    const options = { ...DEFAULT_ALIGN_OPTIONS, ...userOptions };
+    const identity = { scale: 1, offset: 0 };
+    const mainOnsets = getOnsets(mainSubs);
+    const transOnsets = getOnsets(transSubs);
+
+    const baselineConfidence = matchRatio(mainOnsets, transOnsets, identity, options.matchToleranceMs);
+    const result = {
+        subtitles: transSubs,
+        offsetMs: 0,
+        scale: 1,
+        frameRate: null,
+        confidence: baselineConfidence,
+        baselineConfidence,
+        anchors: 0,
+        applied: false
+    };
+
+    if (mainOnsets.length < options.minAnchors || transOnsets.length < options.minAnchors) {
+        console.log(`Alignment skipped: not enough cues (main=${mainOnsets.length}, translation=${transOnsets.length}).`);
+        return result;
+    }
+
+    const candidateScales = [
+        ...options.scales,
+        ...frameRateScales(options.frameRates || []).map(candidate => candidate.scale)
+    ];
+    let coarse = null;
+    for (const scale of candidateScales) {
+        const candidate = coarseOffsetForScale(mainOnsets, transOnsets, scale, options);
+        if (!coarse || candidate.votes > coarse.votes) {
+            coarse = candidate;
+        }
+    }
+
+    const model = refineModel(mainOnsets, transOnsets, { scale: coarse.scale, offset: coarse.offset }, options);
+    const confidence = matchRatio(mainOnsets, transOnsets, model, options.matchToleranceMs);
+    const isIdentity = Math.abs(model.offset) < 50 && Math.abs(model.scale - 1) < 0.0001;
+
+    result.offsetMs = Math.round(model.offset);
+    result.scale = model.scale;
+    result.frameRate = detectFrameRateMismatch(model.scale, options.frameRates || []);
+    result.anchors = findAnchors(mainOnsets, transOnsets, model, options.matchToleranceMs).length;
+
+    if (isIdentity || confidence < options.minConfidence || confidence - baselineConfidence < options.minImprovement) {
+        console.log(`Alignment not applied: offset=${result.offsetMs}ms scale=${model.scale.toFixed(5)} confidence=${confidence.toFixed(2)} (baseline ${baselineConfidence.toFixed(2)}).`);
+        return result;
+    }
+
+    result.subtitles = retimeSubtitles(transSubs, model);
+    result.confidence = confidence;
+    result.applied = true;
+    if (result.frameRate) {
+        console.log(`Detected frame rate mismatch: main ${result.frameRate.main} fps, translation ${result.frameRate.translation} fps.`);
+    }
+    console.log(`Aligned translation: offset=${result.offsetMs}ms scale=${model.scale.toFixed(5)} confidence=${confidence.toFixed(2)} (baseline ${baselineConfidence.toFixed(2)}, ${result.anchors} anchors).`);
+    return result;
+}
+
+module.exports = {
+    STANDARD_FRAME_RATES,
+    DEFAULT_ALIGN_OPTIONS,
+    alignSubtitles,
+    retimeSubtitles,
+    detectFrameRateMismatch
+};
@@ -0,0 +1,73 @@
+// Right-to-left support for merged cues.
+// A merged cue puts lines of two or three languages next to each other. When one of them is
+// written right to left, a player applying the bidi algorithm to the cue as a whole moves
+// punctuation, dialogue dashes and numbers to the wrong side of the words and can mix up the
+// order of the lines when they share one line. Each line is therefore isolated with its own
+// direction in SRT, and the styled formats set the base direction of every line.
+
+// OpenSubtitles language ids written right to left (Kurdish subtitles there are mostly Sorani)
+const RTL_LANGUAGES = new Set(['ara', 'heb', 'per', 'prs', 'urd', 'pus', 'snd', 'syr', 'azb', 'kur']);
+
+const RLM = '\u200F';
+const LRM = '\u200E';
+const RLI = '\u2067';
+const LRI = '\u2066';
+const PDI = '\u2069';
+
+const RTL_LETTER = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFC]/;
+// Sentence punctuation that files made for players without bidi support put at the start of the line
+const LEADING_PUNCTUATION = /^([.,!?:;\u060C\u061B\u061F\u2026]+)\s*(?=\S)/;
+const TRAILING_DASH = /\s+[-\u2013\u2014]$/;
+
+function languageDirection(lang) {
+    return RTL_LANGUAGES.has(lang) ? 'rtl' : 'ltr';
+}
+
+// Directions of the main, translation and second translation lines, or null when every
+// selected language is written left to right (the cues are then left as they are)
+function cueDirections(mainLang, transLang, secondTransLang = null) {
+    const directions = {
+        main: languageDirection(mainLang),
+        translation: languageDirection(transLang),
+        secondTranslation: languageDirection(secondTransLang)
+    };
+    return Object.values(directions).includes('rtl') ? directions : null;
+}
+
+// Repairs a line of an RTL track stored in visual order for players without bidi support:
+// "?ماذا" becomes "ماذا?" and a dialogue dash at the end moves back to the start.
+// An ellipsis alone at the start is left in place, it usually continues the previous line.
+function normalizeRtlLine(line) {
+    let text = line.trim();
+    if (!RTL_LETTER.test(text)) return text;
+
+    const dialogueDash = TRAILING_DASH.test(text) && !/^[-\u2013\u2014]/.test(text);
+    if (dialogueDash) {
+        text = text.replace(TRAILING_DASH, '');
+    }
+    const leading = text.match(LEADING_PUNCTUATION);
+    if (leading && !/^(\.\.\.|\u2026)$/.test(leading[1]) && !/[.!?\u061F\u2026]$/.test(text)) {
+        text = `${text.slice(leading[0].length)}${[...leading[1]].reverse().join('')}`;
+    }
+    return dialogueDash ? `- ${text}` : text;
+}
+
+// Wraps a line in a directional isolate, so it neither reorders nor is reordered by the other lines
+function isolateLine(text, direction) {
+    return `${direction === 'rtl' ? RLI : LRI}${text}${PDI}`;
+}
+
+// Starts a line with a directional mark, which sets its base direction in the styled formats
+// where every line is a paragraph of its own
+function markBaseDirection(text, direction) {
+    return `${direction === 'rtl' ? RLM : LRM}${text}`;
+}
+
+module.exports = {
+    RTL_LANGUAGES,
+    languageDirection,
+    cueDirections,
+    normalizeRtlLine,
+    isolateLine,
+    markBaseDirection
+};
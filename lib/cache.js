@@ -0,0 +1,113 @@
+// Cache index of merged results, stored as small JSON files next to the merged subtitles.
+// One entry per title/episode/language pair remembers which main and translation
+// candidates were merged and where each merged file was uploaded, so repeat requests
+// can be answered without searching or downloading anything from the providers.
+// Output settings (format, styling...) change the merged files, so an entry keeps one
+// result per options key and invalidating the entry drops all of them at once.
+// Updates of an entry run one after another, so concurrent builds with different options
+// do not overwrite each other's results.
+
+const crypto = require('crypto');
+const { sanitizeKey } = require('./storage');
+const { createSerializer } = require('./concurrency');
+
+const DEFAULT_TTL_HOURS = 7 * 24;
+
+// Identifies one subtitle request: title, episode, language pair and, when known, the exact
+// file being played since candidates are ranked by how well they match its release
+function buildCacheKey({ imdbId, season, episode, mainLang, transLang, secondTransLang, videoHash }) {
+    const episodePart = season && episode ? `_S${season}E${episode}` : '';
+    const secondLangPart = secondTransLang ? `_${secondTransLang}` : '';
+    const filePart = videoHash ? `_${videoHash}` : '';
+    return sanitizeKey(`${imdbId}${episodePart}_${mainLang}_${transLang}${secondLangPart}${filePart}`);
+}
+
+// Identifies one merged file: the request plus the candidate IDs that were merged
+function buildVariantKey(mainId, transId, secondTransId = null) {
+    return sanitizeKey(secondTransId ? `${mainId}_${transId}_${secondTransId}` : `${mainId}_${transId}`);
+}
+
+// Short stable hash of the settings that shape the merged files
+function buildOptionsKey(options) {
+    const sortedEntries = Object.keys(options).sort().map(key => [key, options[key]]);
+    return crypto.createHash('sha1').update(JSON.stringify(sortedEntries)).digest('hex').substring(0, 10);
+}
+
+function createResultCache(storage, { ttlHours } = {}) {
+    const envTtlHours = parseFloat(process.env.CACHE_TTL_HOURS);
+    const ttlMs = (ttlHours ?? (Number.isFinite(envTtlHours) ? envTtlHours : DEFAULT_TTL_HOURS)) * 3600 * 1000;
+    const enabled = ttlMs > 0;
+
+    if (!enabled) {
+        console.log("Result cache disabled (CACHE_TTL_HOURS is 0).");
+    }
+
+    // Read-modify-write updates of the index files, one at a time per cache key
+    const entryUpdates = createSerializer();
+
+    function indexFileName(cacheKey) {
+        return `cache_${cacheKey}.json`;
+    }
+
+    async function readEntry(cacheKey) {
+        const raw = await storage.get(indexFileName(cacheKey));
+        if (!raw) return null;
+        const entry = typeof raw === 'string' ? JSON.parse(raw) : raw;
+        entry.outputs = entry.outputs || {};
+        return entry;
+    }
+
+    // Returns the stored result for these output options with an `isFresh` flag, or null when nothing is cached.
+    // Expired results are still returned so their variants can be reused after a new search.
+    async function get(cacheKey, optionsKey) {
+        if (!enabled) return null;
+        try {
+            const entry = await readEntry(cacheKey);
+            const result = entry && entry.outputs[optionsKey];
+            if (!result) return null;
+            result.variants = result.variants || {};
+            result.scores = result.scores || {};
+            result.isFresh = Date.now() - result.createdAt < ttlMs;
+            return result;
+        } catch (error) {
+            console.warn(`Failed to read cache entry ${cacheKey}: ${error.message}`);
+            return null;
+        }
+    }
+
+    async function writeResult(cacheKey, optionsKey, { subtitles, mainId, secondTransId, variants, scores }) {
+        try {
+            const entry = (await readEntry(cacheKey)) || { outputs: {} };
+            entry.outputs[optionsKey] = {
+                createdAt: Date.now(),
+                mainId,
+                secondTransId,
+                subtitles,
+                variants,
+                scores
+            };
+            await storage.put(indexFileName(cacheKey), JSON.stringify(entry), {
+                contentType: 'application/json; charset=utf-8',
+                cacheMaxAge: 60
+            });
+            console.log(`Cached ${subtitles.length} merged subtitle(s) for ${cacheKey} (options ${optionsKey}).`);
+        } catch (error) {
+            console.warn(`Failed to write cache entry ${cacheKey}: ${error.message}`);
+        }
+    }
+
+    // scores holds the quality score of each variant (see lib/scoring.js), null when it has none
+    async function set(cacheKey, optionsKey, { subtitles, mainId, secondTransId = null, variants, scores = {} }) {
+        if (!enabled) return;
+        await entryUpdates.run(cacheKey, () => writeResult(cacheKey, optionsKey, { subtitles, mainId, secondTransId, variants, scores }));
+    }
+
+    async function invalidate(cacheKey) {
+        await entryUpdates.run(cacheKey, () => storage.del(indexFileName(cacheKey)));
+        console.log(`Invalidated cache entry ${cacheKey}.`);
+    }
+
+    return { enabled, get, set, invalidate };
+}
+
+module.exports = { buildCacheKey, buildVariantKey, buildOptionsKey, createResultCache };
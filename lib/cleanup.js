@@ -0,0 +1,158 @@
+// Hearing impaired and noise cleanup of the parsed tracks, before they are aligned and merged.
+// Each category can be removed from the main line, the translation lines (the second translation
+// follows the translation), both or neither:
+//   soundEffects  - descriptions in brackets, or in parentheses when they look like one: [door slams],
+//                   (DOOR SLAMS), (laughs), （笑）. "(I think) he left" is dialogue and stays.
+//   music         - lyrics and music lines marked with ♪, ♫ or #
+//   speakerLabels - speaker names in capitals at the start of a line: "- JOHN: Hi" becomes "- Hi"
+//   tags          - ASS override tags left over by the conversion to SRT: {\an8}, {\i1}
+// Cues left without text are dropped.
+
+const { pickOption } = require('./options');
+
+const CLEANUP_TARGET_OPTIONS = {
+    'Both lines': { main: true, translation: true },
+    'Main line': { main: true, translation: false },
+    'Translation line': { main: false, translation: true },
+    'Keep': { main: false, translation: false }
+};
+
+const DEFAULT_CLEANUP_CONFIG = {
+    removeSoundEffects: 'Both lines',
+    removeMusic: 'Keep',
+    removeSpeakerLabels: 'Both lines',
+    removeTags: 'Both lines'
+};
+
+// Config key of each category
+const CLEANUP_CATEGORY_KEYS = {
+    soundEffects: 'removeSoundEffects',
+    music: 'removeMusic',
+    speakerLabels: 'removeSpeakerLabels',
+    tags: 'removeTags'
+};
+
+const SOUND_EFFECT_PATTERN = /\[[^\]\n]*\]|【[^】\n]*】|\(([^)\n]*)\)|（([^）\n]*)）/g;
+// Parentheses also hold dialogue, so only descriptions in capitals and a few lowercase words
+// count as sound descriptions; in scripts without case, short ones do
+const MAX_LOWERCASE_DESCRIPTION_WORDS = 3;
+const MAX_UNCASED_DESCRIPTION_LENGTH = 10;
+const MUSIC_LINE_PATTERN = /[♪♫]|^\s*(?:<[^>]+>)*\s*#|#\s*(?:<\/[^>]+>)*\s*$/;
+// Capitals, digits and name punctuation before a colon, optionally after a dialogue dash.
+// Times such as 10:30 start with a digit and are left alone.
+const SPEAKER_LABEL_PATTERN = /^(\s*(?:<[^>]+>)*\s*[-–—]?\s*)\p{Lu}[\p{Lu}\p{N} .'’&-]{0,30}:\s*/u;
+const ASS_TAG_PATTERN = /\{\\[^}]*\}/g;
+// A cue counts as hearing impaired when this share of its cues carries descriptions or speaker names
+const HEARING_IMPAIRED_CUE_SHARE = 0.1;
+
+// Turns the addon config into the categories to remove per track:
+// { main: { soundEffects, music, speakerLabels, tags }, translation: { ... } }
+function parseCleanupConfig(config = {}) {
+    const settings = { ...DEFAULT_CLEANUP_CONFIG, ...config };
+    const cleanup = { main: {}, translation: {} };
+    for (const [category, key] of Object.entries(CLEANUP_CATEGORY_KEYS)) {
+        const target = pickOption(CLEANUP_TARGET_OPTIONS, settings[key], DEFAULT_CLEANUP_CONFIG[key]);
+        cleanup.main[category] = target.main;
+        cleanup.translation[category] = target.translation;
+    }
+    return cleanup;
+}
+
+// Takes the groups of a SOUND_EFFECT_PATTERN match
+function isSoundDescription(match, parenthesized, fullWidthParenthesized) {
+    const inner = parenthesized ?? fullWidthParenthesized;
+    if (inner === undefined) return true; // Brackets
+    const hasUpper = /\p{Lu}/u.test(inner);
+    const hasLower = /\p{Ll}/u.test(inner);
+    if (!hasUpper && !hasLower) {
+        return /\p{L}/u.test(inner) && inner.trim().length <= MAX_UNCASED_DESCRIPTION_LENGTH;
+    }
+    if (!hasLower) return true;
+    return !hasUpper && inner.trim().split(/\s+/).length <= MAX_LOWERCASE_DESCRIPTION_WORDS;
+}
+
+// Whether a line has any text left once markup, dashes and punctuation are ignored
+function hasText(line) {
+    return /[\p{L}\p{N}]/u.test(line.replace(/<[^>]*>/g, ''));
+}
+
+// Applies the enabled categories to one cue's text, returning '' when nothing is left
+function cleanupCueText(text, categories) {
+    if (!text) return '';
+    let cleaned = text;
+    if (categories.tags) {
+        cleaned = cleaned
+            .replace(ASS_TAG_PATTERN, '')
+            .replace(/\\N/g, '\n')
+            .replace(/\\h/g, ' ');
+    }
+
+    const lines = cleaned.split(/\r?\n/).map(line => {
+        if (categories.music && MUSIC_LINE_PATTERN.test(line)) {
+            return '';
+        }
+        let result = line;
+        if (categories.soundEffects) {
+            result = result.replace(SOUND_EFFECT_PATTERN, (...match) => isSoundDescription(...match) ? '' : match[0]);
+        }
+        if (categories.speakerLabels) {
+            result = result.replace(SPEAKER_LABEL_PATTERN, '$1');
+        }
+        return result.replace(/\s{2,}/g, ' ').trim();
+    });
+
+    const remaining = lines.filter(hasText);
+    // A dialogue dash makes no sense once the other speaker's line is gone
+    if (remaining.length === 1 && lines.length > 1) {
+        remaining[0] = remaining[0].replace(/^(\s*(?:<[^>]+>)*\s*)[-–—]\s*/, '$1');
+    }
+    return remaining.join('\n');
+}
+
+// Cleans every cue of a parsed track and drops the ones left empty
+function cleanupTrack(subs, categories) {
+    if (!subs || !Object.values(categories).some(Boolean)) return subs;
+    const cleaned = [];
+    for (const sub of subs) {
+        const text = cleanupCueText(sub.text, categories);
+        if (text) {
+            cleaned.push({ ...sub, text });
+        }
+    }
+    if (cleaned.length < subs.length) {
+        console.log(`Cleanup removed ${subs.length - cleaned.length} of ${subs.length} cue(s) without text left.`);
+    }
+    return cleaned;
+}
+
+// Detects hearing impaired subtitles the provider did not flag, from their sound descriptions and speaker names
+function looksHearingImpaired(subs) {
+    if (!subs || subs.length === 0) return false;
+    const hearingImpairedCues = subs.filter(sub => {
+        const text = sub.text || '';
+        return [...text.matchAll(SOUND_EFFECT_PATTERN)].some(match => isSoundDescription(...match))
+            || text.split(/\r?\n/).some(line => SPEAKER_LABEL_PATTERN.test(line));
+    }).length;
+    return hearingImpairedCues / subs.length >= HEARING_IMPAIRED_CUE_SHARE;
+}
+
+// Drops candidates flagged as hearing impaired when there is at least one that is not
+function preferCleanCandidates(candidates) {
+    if (!candidates) return candidates;
+    const clean = candidates.filter(candidate => !candidate.hearingImpaired);
+    if (clean.length > 0 && clean.length < candidates.length) {
+        console.log(`Skipping ${candidates.length - clean.length} subtitle(s) flagged as hearing impaired.`);
+        return clean;
+    }
+    return candidates;
+}
+
+module.exports = {
+    CLEANUP_TARGET_OPTIONS,
+    DEFAULT_CLEANUP_CONFIG,
+    parseCleanupConfig,
+    cleanupCueText,
+    cleanupTrack,
+    looksHearingImpaired,
+    preferCleanCandidates
+};
@@ -0,0 +1,103 @@
+// Small concurrency helpers for the subtitle pipeline: a bounded pool for the downloads,
+// a deadline that returns whatever is ready instead of waiting for the slowest task,
+// coalescing of identical work running at the same time, and serializing of work on the same key.
+
+// Runs at most `limit` tasks at the same time, the others wait in order of arrival.
+// run(task) resolves or rejects with the result of task().
+function createTaskPool(limit) {
+    const size = Math.max(1, limit);
+    const waiting = [];
+    let active = 0;
+
+    function next() {
+        if (active >= size || waiting.length === 0) return;
+        const { task, resolve, reject } = waiting.shift();
+        active++;
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                active--;
+                next();
+            });
+    }
+
+    function run(task) {
+        return new Promise((resolve, reject) => {
+            waiting.push({ task, resolve, reject });
+            next();
+        });
+    }
+
+    return {
+        run,
+        get active() { return active; },
+        get pending() { return waiting.length; }
+    };
+}
+
+// Waits for the promise until the deadline (a Date.now() timestamp).
+// Resolves to { done: true, value } when it settles in time and { done: false } otherwise;
+// the promise itself keeps running either way. Rejections are passed on.
+function waitUntil(promise, deadline) {
+    let timer = null;
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(() => resolve({ done: false }), Math.max(0, deadline - Date.now()));
+    });
+    return Promise.race([promise.then(value => ({ done: true, value })), timeout])
+        .finally(() => clearTimeout(timer));
+}
+
+// Shares in-flight work between concurrent callers: run(key, start) calls start() for the first
+// caller of a key and hands the same result to everyone asking for that key until the work settles.
+// start() returns a promise, or an object with the work in its `promise` property when the callers
+// need more than the result (e.g. progress so far).
+function createCoalescer() {
+    const inFlight = new Map();
+
+    function run(key, start) {
+        if (inFlight.has(key)) {
+            return inFlight.get(key);
+        }
+        const work = start();
+        inFlight.set(key, work);
+        const promise = typeof work.then === 'function' ? work : work.promise;
+        const release = () => {
+            if (inFlight.get(key) === work) inFlight.delete(key);
+        };
+        promise.then(release, release);
+        return work;
+    }
+
+    return {
+        run,
+        has: key => inFlight.has(key)
+    };
+}
+
+// Runs the tasks of one key one after another, e.g. read-modify-write updates of the same file:
+// run(key, task) calls task() once every earlier task of that key has settled and resolves or
+// rejects with its result. Tasks of different keys run side by side.
+function createSerializer() {
+    const tails = new Map();
+
+    function run(key, task) {
+        const previous = tails.get(key) || Promise.resolve();
+        const result = previous.then(() => task());
+        const tail = result.then(() => {}, () => {});
+        tails.set(key, tail);
+        tail.then(() => {
+            if (tails.get(key) === tail) tails.delete(key);
+        });
+        return result;
+    }
+
+    return { run };
+}
+
+module.exports = {
+    createTaskPool,
+    waitUntil,
+    createCoalescer,
+    createSerializer
+};
@@ -0,0 +1,114 @@
+// Diagnostics report of a dry run of the subtitle pipeline, served by the /debug route.
+// Every failure of the subtitle handler ends in the same empty list, so the report records where
+// a request went: the upstream requests and their answers, the candidates found per language,
+// how each download was decoded and converted, and the parse, cleanup, alignment and merge
+// results of every candidate, up to what would have been stored.
+//
+// The handler gets the report passed in, code deeper down (rate limited requests, downloads)
+// finds it with currentDiagnostics(), which is null outside a dry run.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const activeDiagnostics = new AsyncLocalStorage();
+
+// The fields of a candidate that explain why it was picked or skipped
+function summarizeCandidate(candidate) {
+    if (candidate.machineTranslated) {
+        return { id: String(candidate.id), machineTranslated: true };
+    }
+    return {
+        id: String(candidate.id),
+        provider: candidate.provider || null,
+        format: candidate.format,
+        releaseName: candidate.releaseName,
+        fileName: candidate.fileName,
+        hashMatch: candidate.hashMatch,
+        releaseScore: candidate.releaseScore ?? null,
+        downloads: candidate.downloads,
+        rating: candidate.rating,
+        hearingImpaired: candidate.hearingImpaired,
+        url: candidate.url
+    };
+}
+
+// The estimated model of an alignSubtitles result, without the retimed subtitles
+function summarizeAlignment({ subtitles, ...model }) {
+    return model;
+}
+
+// request describes what was asked for (title, languages, redacted config)
+function createDiagnostics(request) {
+    const startedAt = Date.now();
+    const report = {
+        request,
+        failure: null,
+        cache: null,
+        storage: null,
+        cookie: null,
+        searches: {},
+        requests: [],
+        downloads: [],
+        candidates: { main: [], secondTranslation: [], translation: [] },
+        ranking: null,
+        providers: null,
+        result: null,
+        durationMs: null
+    };
+    const elapsedMs = () => Date.now() - startedAt;
+
+    // role is main, secondTranslation or translation
+    function candidateEntry(role, candidate) {
+        const id = String(candidate.id);
+        let entry = report.candidates[role].find(item => item.id === id);
+        if (!entry) {
+            entry = { ...summarizeCandidate(candidate), steps: {}, outcome: null };
+            report.candidates[role].push(entry);
+        }
+        return entry;
+    }
+
+    const diagnostics = {
+        report,
+        // Runs fn with this report as the current one for everything it calls
+        run: fn => activeDiagnostics.run(diagnostics, fn),
+        // One-off sections such as the cache state, the cookie or the storage probe
+        set(section, value) {
+            report[section] = value;
+        },
+        // Why the handler gave up, the last reason wins
+        fail(reason) {
+            report.failure = reason;
+        },
+        recordRequest(url, details) {
+            report.requests.push({ url, atMs: elapsedMs(), ...details });
+        },
+        recordSearch(languageId, { candidates = [], ...details }) {
+            report.searches[languageId] = { ...details, candidates: candidates.map(summarizeCandidate) };
+        },
+        recordDownload(url, details) {
+            report.downloads.push({ url, ...details });
+        },
+        recordStep(role, candidate, step, details) {
+            candidateEntry(role, candidate).steps[step] = details;
+        },
+        recordOutcome(role, candidate, outcome) {
+            candidateEntry(role, candidate).outcome = outcome;
+        },
+        finish(result) {
+            report.result = result;
+            report.durationMs = elapsedMs();
+            return report;
+        }
+    };
+    return diagnostics;
+}
+
+function currentDiagnostics() {
+    return activeDiagnostics.getStore() || null;
+}
+
+module.exports = {
+    summarizeAlignment,
+    createDiagnostics,
+    currentDiagnostics
+};
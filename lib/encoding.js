@@ -0,0 +1,244 @@
+// Character encoding detection of downloaded subtitle files.
+// chardet alone often guesses wrong on short files in legacy encodings (a Russian file read as
+// windows-1252, a Turkish one as ISO-8859-1), but the language of a subtitle is known from the
+// provider. So the encodings usually used for that language are tried next to chardet's guesses,
+// and the decoding whose letters best fit the language's script wins.
+// Valid UTF-8 is used as is, after repairing double encoded UTF-8 ("Ã©" instead of "é").
+
+const chardet = require('chardet');
+const iconv = require('iconv-lite');
+
+// Scripts of the languages, as the non-ASCII letters expected in their text
+const SCRIPTS = {
+    arabic: /\p{Script=Arabic}/u,
+    cyrillic: /\p{Script=Cyrillic}/u,
+    greek: /\p{Script=Greek}/u,
+    hebrew: /\p{Script=Hebrew}/u,
+    thai: /\p{Script=Thai}/u,
+    chinese: /\p{Script=Han}/u,
+    traditionalChinese: /\p{Script=Han}/u,
+    japanese: /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}ー]/u,
+    korean: /[\p{Script=Hangul}\p{Script=Han}]/u,
+    // Latin script languages are told apart by their accented letters
+    turkish: /[çğıöşüâîûÇĞİÖŞÜÂÎÛ]/u,
+    centralEuropean: /[ąćęłńóśźżčďěňřšťůžáéíýöőüűăâîșțşţĂÂÎȘȚŞŢđĐäôĺľŕÄÔĹĽŔçëÇË]/iu,
+    baltic: /[āčēģīķļņšūžąęėįųõäöüĀČĒĢĪĶĻŅŠŪŽĄĘĖĮŲÕÄÖÜ]/u,
+    vietnamese: /[ăâđêôơưĂÂĐÊÔƠƯàáãèéìíòóõùúýÀÁÃÈÉÌÍÒÓÕÙÚÝ\u0300\u0301\u0303\u0309\u0323]/u,
+    westernEuropean: /[àáâãäåæçèéêëìíîïðñòóôõöøùúûüýþÿßœÀÁÂÃÄÅÆÇÈÉÊËÌÍÎÏÐÑÒÓÔÕÖØÙÚÛÜÝÞŸŒ¡¿ºª]/u
+};
+
+// Legacy encodings (iconv-lite names) subtitles of each script are usually saved in, most likely first
+const SCRIPT_ENCODINGS = {
+    arabic: ['win1256', 'iso88596'],
+    cyrillic: ['win1251', 'koi8r', 'koi8u', 'cp866', 'iso88595'],
+    greek: ['win1253', 'iso88597'],
+    hebrew: ['win1255', 'iso88598'],
+    thai: ['win874', 'tis620'],
+    chinese: ['gb18030', 'big5'],
+    traditionalChinese: ['big5', 'gb18030'],
+    japanese: ['shiftjis', 'eucjp'],
+    korean: ['cp949'],
+    turkish: ['win1254', 'iso88599'],
+    centralEuropean: ['win1250', 'iso88592'],
+    baltic: ['win1257', 'iso885913'],
+    vietnamese: ['win1258'],
+    westernEuropean: ['win1252', 'iso885915']
+};
+
+// Script of each OpenSubtitles language ID; languages missing here use chardet's guesses only
+const LANGUAGE_SCRIPTS = {
+    'ara': 'arabic', 'per': 'arabic', 'prs': 'arabic', 'urd': 'arabic', 'pus': 'arabic', 'snd': 'arabic',
+    'kur': 'arabic', 'azb': 'arabic',
+    'rus': 'cyrillic', 'ukr': 'cyrillic', 'bel': 'cyrillic', 'bul': 'cyrillic', 'mac': 'cyrillic',
+    'scc': 'cyrillic', 'kaz': 'cyrillic', 'kir': 'cyrillic', 'mon': 'cyrillic', 'tat': 'cyrillic',
+    'ell': 'greek', 'heb': 'hebrew', 'tha': 'thai',
+    'chi': 'chinese', 'zhe': 'chinese', 'zht': 'traditionalChinese', 'zhc': 'traditionalChinese',
+    'jpn': 'japanese', 'kor': 'korean',
+    'tur': 'turkish', 'aze': 'turkish',
+    'pol': 'centralEuropean', 'cze': 'centralEuropean', 'slo': 'centralEuropean', 'hun': 'centralEuropean',
+    'rum': 'centralEuropean', 'hrv': 'centralEuropean', 'slv': 'centralEuropean', 'bos': 'centralEuropean',
+    'alb': 'centralEuropean', 'mne': 'centralEuropean',
+    'est': 'baltic', 'lav': 'baltic', 'lit': 'baltic',
+    'vie': 'vietnamese',
+    'eng': 'westernEuropean', 'fre': 'westernEuropean', 'ger': 'westernEuropean', 'spa': 'westernEuropean',
+    'spl': 'westernEuropean', 'spn': 'westernEuropean', 'ita': 'westernEuropean', 'por': 'westernEuropean',
+    'pob': 'westernEuropean', 'pom': 'westernEuropean', 'dut': 'westernEuropean', 'dan': 'westernEuropean',
+    'swe': 'westernEuropean', 'nor': 'westernEuropean', 'fin': 'westernEuropean', 'ice': 'westernEuropean',
+    'cat': 'westernEuropean', 'glg': 'westernEuropean', 'baq': 'westernEuropean', 'ind': 'westernEuropean',
+    'may': 'westernEuropean', 'afr': 'westernEuropean', 'wel': 'westernEuropean', 'gle': 'westernEuropean'
+};
+
+// Script fit below which a decoding is reported as doubtful
+const MIN_SCRIPT_FIT = 0.6;
+
+// chardet names that iconv-lite spells differently
+const CHARDET_ALIASES = {
+    'ascii': 'utf8',
+    'us-ascii': 'utf8',
+    'utf-8': 'utf8',
+    'utf-16le': 'utf16le',
+    'utf-16be': 'utf16be',
+    'windows-1250': 'win1250',
+    'windows-1251': 'win1251',
+    'windows-1252': 'win1252',
+    'windows-1253': 'win1253',
+    'windows-1254': 'win1254',
+    'windows-1255': 'win1255',
+    'windows-1256': 'win1256',
+    'iso-8859-9': 'iso88599',
+    'shift_jis': 'shiftjis',
+    'euc-jp': 'eucjp',
+    'euc-kr': 'cp949',
+    'gb18030': 'gb18030',
+    'big5': 'big5'
+};
+
+// Windows-1252 characters of the bytes 0x80-0x9F (e.g. "Å¸" is "ş" read as Windows-1252),
+// mapped back to their bytes. The other bytes are the same in Windows-1252 and Latin-1.
+const WIN1252_HIGH_BYTES = new Map();
+for (let byte = 0x80; byte <= 0x9F; byte++) {
+    const char = iconv.decode(Buffer.from([byte]), 'win1252');
+    // Undefined bytes (0x81, 0x8D...) have no character of their own
+    if (char.charCodeAt(0) > 0xFF && char !== '\uFFFD') {
+        WIN1252_HIGH_BYTES.set(char, byte);
+    }
+}
+const WIN1252_HIGH_CHARS = [...WIN1252_HIGH_BYTES.keys()].join('');
+const MOJIBAKE_RUN_PATTERN = new RegExp(`[\\u0080-\\u00FF${WIN1252_HIGH_CHARS}]{2,}`, 'g');
+// Lead bytes that start most double encoded text, followed by a continuation byte: Ã and Â (Latin-1
+// letters and symbols), Ð and Ñ (Cyrillic), Î and Ï (Greek), × (Hebrew), Ø and Ù (Arabic), and
+// â€ (quotes and dashes). Real text next to »« or ” quotes ("MÄ»") has none of them.
+const MOJIBAKE_EVIDENCE_PATTERN = new RegExp(`[ÃÂÐÑÎÏ×ØÙ][\\u0080-\\u00BF${WIN1252_HIGH_CHARS}]|â€`);
+
+function toIconvEncoding(name) {
+    if (!name) return null;
+    const normalized = name.toLowerCase();
+    const encoding = CHARDET_ALIASES[normalized] || normalized;
+    return iconv.encodingExists(encoding) ? encoding : null;
+}
+
+function hasUtf8Bom(buffer) {
+    return buffer.length >= 3 && buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF;
+}
+
+function hasUtf16Bom(buffer) {
+    return buffer.length >= 2 && ((buffer[0] === 0xFF && buffer[1] === 0xFE) || (buffer[0] === 0xFE && buffer[1] === 0xFF));
+}
+
+// Strict UTF-8 decoding, null when the bytes are not valid UTF-8
+function decodeUtf8Strict(buffer) {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (error) {
+        return null;
+    }
+}
+
+// How well a decoded text fits the script: the share of its non-ASCII letters that belong to it,
+// minus replacement characters and C1 control codes which only appear in wrong decodings.
+// Wrong decodings between encodings of the same script (KOI8-R read as Windows-1251) mostly
+// swap the letter case, so text that is mostly lowercase gets a small bonus.
+function scoreScriptFit(text, script) {
+    const sample = text.length > 50000 ? text.substring(0, 50000) : text;
+    const nonAscii = sample.match(/[^\x00-\x7F]/gu) || [];
+    const letters = nonAscii.filter(char => /\p{L}|\p{M}/u.test(char));
+    const invalid = nonAscii.filter(char => char === '\uFFFD' || /[\u0080-\u009F]/.test(char)).length;
+    if (letters.length + invalid === 0) return 1;
+    const expected = script ? letters.filter(char => SCRIPTS[script].test(char)).length : letters.length;
+    const cased = letters.filter(char => /\p{Lu}|\p{Ll}/u.test(char));
+    const lowercaseShare = cased.length > 0 ? cased.filter(char => /\p{Ll}/u.test(char)).length / cased.length : 0;
+    return (expected - 2 * invalid) / (letters.length + invalid) + 0.1 * lowercaseShare;
+}
+
+// Undoes UTF-8 that was read as Windows-1252/Latin-1 and saved as UTF-8 again: every run of
+// such characters that forms valid UTF-8 once turned back into bytes is replaced by its decoding.
+// Many runs of real text are valid UTF-8 too ("Ä»" would become "Ļ"), so nothing is repaired
+// without the typical mojibake sequences, and with a known script (see SCRIPTS) runs that decode
+// to letters of another script are kept.
+function repairDoubleEncodedUtf8(text, script = null) {
+    if (!MOJIBAKE_EVIDENCE_PATTERN.test(text)) {
+        return { text, repairedRuns: 0 };
+    }
+    let repairedRuns = 0;
+    const repaired = text.replace(MOJIBAKE_RUN_PATTERN, run => {
+        const bytes = [];
+        for (const char of run) {
+            const code = char.charCodeAt(0);
+            bytes.push(code <= 0xFF ? code : WIN1252_HIGH_BYTES.get(char));
+        }
+        const decoded = decodeUtf8Strict(Buffer.from(bytes));
+        if (decoded === null || decoded.length >= run.length) return run;
+        const foreignLetter = script && [...decoded].some(char => /\p{L}/u.test(char) && char > '\x7F' && !SCRIPTS[script].test(char));
+        if (foreignLetter) return run;
+        repairedRuns++;
+        return decoded;
+    });
+    return { text: repaired, repairedRuns };
+}
+
+function checkScriptFit(result, languageId) {
+    if (result.scriptFit !== null && result.scriptFit < MIN_SCRIPT_FIT) {
+        console.warn(`Decoded text does not look like ${languageId} (script fit ${result.scriptFit.toFixed(2)}), it may show garbled characters.`);
+    }
+    return result;
+}
+
+// Decodes a subtitle file for the expected language (an OpenSubtitles language ID, may be null).
+// Returns { text, encoding, repairedRuns, scriptFit }, scriptFit is null for unknown languages.
+function decodeSubtitleBuffer(buffer, languageId = null) {
+    const script = LANGUAGE_SCRIPTS[languageId] || null;
+
+    // A byte order mark settles it
+    if (hasUtf16Bom(buffer)) {
+        const encoding = buffer[0] === 0xFF ? 'utf16le' : 'utf16be';
+        return { text: iconv.decode(buffer, encoding), encoding, repairedRuns: 0, scriptFit: null };
+    }
+    const utf8Text = decodeUtf8Strict(hasUtf8Bom(buffer) ? buffer.subarray(3) : buffer);
+    if (utf8Text !== null) {
+        const repair = repairDoubleEncodedUtf8(utf8Text, script);
+        const scriptFit = script ? scoreScriptFit(utf8Text, script) : null;
+        // The repaired text has to fit the language better than the text as it came
+        if (repair.repairedRuns > 0 && (!script || scoreScriptFit(repair.text, script) > scriptFit)) {
+            console.log(`Repaired ${repair.repairedRuns} double encoded UTF-8 sequence(s).`);
+            return checkScriptFit({
+                text: repair.text,
+                encoding: 'utf8',
+                repairedRuns: repair.repairedRuns,
+                scriptFit: script ? scoreScriptFit(repair.text, script) : null
+            }, languageId);
+        }
+        return checkScriptFit({ text: utf8Text, encoding: 'utf8', repairedRuns: 0, scriptFit }, languageId);
+    }
+
+    // Legacy encoding: the language's usual encodings compete with chardet's guesses
+    let guesses = [];
+    try {
+        guesses = (chardet.analyse(buffer) || []).slice(0, 5).map(match => toIconvEncoding(match.name)).filter(Boolean);
+    } catch (error) {
+        console.warn(`chardet failed: ${error.message}`);
+    }
+    // chardet's first guess breaks ties
+    const chardetGuess = guesses[0];
+    const candidates = [...new Set([...(script ? SCRIPT_ENCODINGS[script] : []), ...guesses])]
+        .filter(encoding => encoding !== 'utf8');
+    if (candidates.length === 0) {
+        candidates.push('latin1');
+    }
+
+    let best = null;
+    for (const encoding of candidates) {
+        const text = iconv.decode(buffer, encoding);
+        const scriptFit = scoreScriptFit(text, script) + (encoding === chardetGuess ? 0.01 : 0);
+        if (!best || scriptFit > best.scriptFit) {
+            best = { text, encoding, repairedRuns: 0, scriptFit };
+        }
+    }
+    console.log(`Decoded as ${best.encoding} (tried ${candidates.join(', ')}; ${languageId || 'unknown language'}, script fit ${best.scriptFit.toFixed(2)}).`);
+    return checkScriptFit(script ? best : { ...best, scriptFit: null }, languageId);
+}
+
+module.exports = {
+    LANGUAGE_SCRIPTS,
+    decodeSubtitleBuffer,
+    repairDoubleEncodedUtf8
+};
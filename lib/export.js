@@ -0,0 +1,88 @@
+// Export of the aligned main/translation pairs behind a merged subtitle, for flashcards and study tools.
+// The handler stores the pairs as JSON next to each merged file; the export route reads them back
+// and renders them as CSV, TSV (ready for Anki's text import) or JSON with timestamps.
+
+const { parseTimeToMs } = require('./time');
+const { decodeCueEntities } = require('./formats');
+
+// Pairs are stored next to the merged file they were built with
+function buildPairsKey(fileKeyWithoutExtension) {
+    return `${fileKeyWithoutExtension}.pairs.json`;
+}
+
+// Keeps the plain lines and timing of each merged cue. Cues without a main or a translation
+// line (kept by the layout options, or the first half of a "guess first" cue) are left out since
+// they are not pairs; revealed translations get the timing of their whole cue back.
+// The cue texts are HTML escaped for SRT, the exports carry them as plain text.
+function toPairs(mergedSubs) {
+    return mergedSubs
+        .filter(sub => sub.mainText && (sub.transText || sub.secondTransText))
+        .map((sub, index) => ({
+            index: index + 1,
+            start: sub.segmentStartTime || sub.startTime,
+            end: sub.endTime,
+            startMs: parseTimeToMs(sub.segmentStartTime || sub.startTime),
+            endMs: parseTimeToMs(sub.endTime),
+            main: decodeCueEntities(sub.mainText),
+            reading: sub.mainReading && sub.mainReading.line ? sub.mainReading.line : null,
+            translation: sub.transText ? decodeCueEntities(sub.transText) : null,
+            secondTranslation: sub.secondTransText ? decodeCueEntities(sub.secondTransText) : null
+        }));
+}
+
+// Columns present in an export: optional ones only when some pair has them
+function exportColumns(pairs) {
+    const columns = ['main', 'translation'];
+    if (pairs.some(pair => pair.reading)) columns.push('reading');
+    if (pairs.some(pair => pair.secondTranslation)) columns.push('secondTranslation');
+    columns.push('start', 'end');
+    return columns;
+}
+
+function escapeCsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatPairsCsv(pairs) {
+    const columns = exportColumns(pairs);
+    const rows = [columns.join(',')];
+    for (const pair of pairs) {
+        rows.push(columns.map(column => escapeCsvField(pair[column])).join(','));
+    }
+    return rows.join('\r\n') + '\r\n';
+}
+
+// Anki reads the "#" header lines (Anki 2.1.54+) to pick the separator and name the columns.
+// Tabs and line breaks inside a field would start a new field or note, so they become spaces.
+function formatPairsTsv(pairs) {
+    const columns = exportColumns(pairs);
+    const rows = [
+        '#separator:tab',
+        '#html:false',
+        `#columns:${columns.join('\t')}`
+    ];
+    for (const pair of pairs) {
+        rows.push(columns.map(column => String(pair[column] ?? '').replace(/[\t\r\n]+/g, ' ')).join('\t'));
+    }
+    return rows.join('\n') + '\n';
+}
+
+function formatPairsJson(pairs, meta = {}) {
+    return JSON.stringify({ ...meta, count: pairs.length, pairs }, null, 2);
+}
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', format: formatPairsCsv },
+    tsv: { contentType: 'text/tab-separated-values; charset=utf-8', format: formatPairsTsv },
+    json: { contentType: 'application/json; charset=utf-8', format: formatPairsJson }
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    buildPairsKey,
+    toPairs,
+    formatPairsCsv,
+    formatPairsTsv,
+    formatPairsJson
+};
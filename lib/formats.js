@@ -0,0 +1,306 @@
+// Styled output formats for merged subtitles.
+// SRT can only carry the two languages as one cue, and Stremio overrides its colors.
+// ASS and WebVTT emit the main and translation lines as separate events, each with its
+// own style (font size, color, outline, italics) and screen position.
+
+const { parseTimeToMs } = require('./time');
+const { formatInlineReading } = require('./reading');
+const { markBaseDirection } = require('./bidi');
+const { pickOption } = require('./options');
+
+// Labels shown in the addon configuration, mapped to internal values
+const OUTPUT_FORMAT_OPTIONS = {
+    'SRT': 'srt',
+    'ASS (styled)': 'ass',
+    'WebVTT (styled)': 'vtt'
+};
+
+const TRANSLATION_POSITION_OPTIONS = {
+    'Top of the screen': 'top',
+    'Bottom, stacked with the main line': 'bottom'
+};
+
+const COLOR_OPTIONS = {
+    'White': 'FFFFFF',
+    'Yellow': 'FFFF00',
+    'Cyan': '00FFFF',
+    'Light Green': '90EE90',
+    'Orange': 'FFA500',
+    'Pink': 'FFB6C1',
+    'Light Gray': 'D3D3D3'
+};
+
+const FONT_SIZE_OPTIONS = {
+    'Small': 0.8,
+    'Medium': 1,
+    'Large': 1.25
+};
+
+// Rare words of the main line (difficulty highlighting) use the first of these that differs from the main color
+const RARE_WORD_COLORS = ['FFA500', '00FFFF'];
+
+// Font sizes are relative to a 1080 line script, outlines are in pixels of that script
+const BASE_FONT_SIZE = { main: 64, translation: 56 };
+
+const DEFAULT_STYLE_CONFIG = {
+    outputFormat: 'SRT',
+    translationPosition: 'Top of the screen',
+    mainColor: 'White',
+    translationColor: 'Yellow',
+    mainFontSize: 'Medium',
+    translationFontSize: 'Medium'
+};
+
+// Turns the addon config into the output settings used by the formatters.
+// layout (from parseLayoutConfig) decides emphasis and which line stacks on top, and carries
+// the line directions when one of the languages is written right to left.
+function parseStyleConfig(config = {}, layout = {}) {
+    const settings = { ...DEFAULT_STYLE_CONFIG, ...config };
+    const format = pickOption(OUTPUT_FORMAT_OPTIONS, settings.outputFormat, DEFAULT_STYLE_CONFIG.outputFormat);
+    const translationPosition = pickOption(TRANSLATION_POSITION_OPTIONS, settings.translationPosition, DEFAULT_STYLE_CONFIG.translationPosition);
+
+    const mainEmphasis = layout.mainEmphasis || 'none';
+    const translationEmphasis = layout.translationEmphasis || 'italic';
+    const directions = layout.directions || null;
+    const main = {
+        color: pickOption(COLOR_OPTIONS, settings.mainColor, DEFAULT_STYLE_CONFIG.mainColor),
+        fontSize: Math.round(BASE_FONT_SIZE.main * pickOption(FONT_SIZE_OPTIONS, settings.mainFontSize, DEFAULT_STYLE_CONFIG.mainFontSize)),
+        outline: 3,
+        italic: mainEmphasis === 'italic',
+        bold: mainEmphasis === 'bold',
+        direction: directions ? directions.main : 'ltr'
+    };
+
+    return {
+        format,
+        translationPosition,
+        // Only matters when both lines share the bottom of the screen
+        topLine: layout.topLine || 'main',
+        directions,
+        main,
+        // Highlighted rare words: the main style in bold and another color
+        rare: {
+            ...main,
+            color: RARE_WORD_COLORS.find(color => color !== main.color),
+            bold: true
+        },
+        translation: {
+            color: pickOption(COLOR_OPTIONS, settings.translationColor, DEFAULT_STYLE_CONFIG.translationColor),
+            fontSize: Math.round(BASE_FONT_SIZE.translation * pickOption(FONT_SIZE_OPTIONS, settings.translationFontSize, DEFAULT_STYLE_CONFIG.translationFontSize)),
+            outline: 2,
+            italic: translationEmphasis === 'italic',
+            bold: translationEmphasis === 'bold',
+            direction: directions ? directions.translation : 'ltr'
+        }
+    };
+}
+
+// Every line of the styled formats is a paragraph of its own. When one of the languages is
+// written right to left, each line starts with a mark setting its direction.
+function directedLine(text, directions, line) {
+    return directions ? markBaseDirection(text, directions[line]) : text;
+}
+
+// Translation lines of a merged cue, including the second translation in tri-subs mode
+function translationText(sub, directions = null) {
+    return [[sub.transText, 'translation'], [sub.secondTransText, 'secondTranslation']]
+        .filter(([text]) => text)
+        .map(([text, line]) => directedLine(text, directions, line))
+        .join('\n');
+}
+
+// Main line of a merged cue with its reading aid and highlighted rare words.
+// escape escapes plain text for the format, rare wraps an already escaped rare word.
+function formatMainText(sub, escape, rare, directions = null) {
+    const reading = sub.mainReading;
+    if (reading && reading.mode === 'inline') {
+        return directedLine(escape(formatInlineReading(reading.segments)), directions, 'main');
+    }
+    const mainText = directedLine(sub.mainWords
+        ? sub.mainWords.map(word => word.rare ? rare(escape(word.text)) : escape(word.text)).join('')
+        : escape(sub.mainText), directions, 'main');
+    return reading && reading.line ? `${mainText}${escape('\n')}${escape(reading.line)}` : mainText;
+}
+
+// --- ASS ---
+
+// ASS timestamps are H:MM:SS.cc
+function formatAssTime(ms) {
+    const centiseconds = Math.max(0, Math.round(ms / 10));
+    const hours = Math.floor(centiseconds / 360000);
+    const minutes = Math.floor((centiseconds % 360000) / 6000);
+    const seconds = Math.floor((centiseconds % 6000) / 100);
+    const rest = centiseconds % 100;
+    const pad = value => String(value).padStart(2, '0');
+    return `${hours}:${pad(minutes)}:${pad(seconds)}.${pad(rest)}`;
+}
+
+// ASS colors are &HAABBGGRR
+function toAssColor(rgbHex, alpha = '00') {
+    const red = rgbHex.substring(0, 2);
+    const green = rgbHex.substring(2, 4);
+    const blue = rgbHex.substring(4, 6);
+    return `&H${alpha}${blue}${green}${red}`.toUpperCase();
+}
+
+// Merged cue texts come out of cleanCueText (lib/merge.js) HTML escaped, which SRT needs.
+// The styled formats escape for themselves, so the entities sanitize-html writes are decoded first.
+function decodeCueEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+// Braces start override blocks in ASS, so they cannot appear in the text itself
+function escapeAssText(text) {
+    return decodeCueEntities(text)
+        .replace(/\{/g, '(')
+        .replace(/\}/g, ')')
+        .replace(/\r?\n/g, '\\N');
+}
+
+// Encoding -1 lets libass detect the base direction of each event, otherwise it is always left to right
+function buildAssStyle(name, trackStyle, alignment, marginV) {
+    return [
+        `Style: ${name}`, 'Arial', trackStyle.fontSize,
+        toAssColor(trackStyle.color), toAssColor('FF0000'), toAssColor('000000'), toAssColor('000000', '80'),
+        trackStyle.bold ? -1 : 0, trackStyle.italic ? -1 : 0, 0, 0,
+        100, 100, 0, 0,
+        1, trackStyle.outline, 0,
+        alignment, 60, 60, marginV, trackStyle.direction === 'rtl' ? -1 : 1
+    ].join(',');
+}
+
+// Builds an ASS script with a Main and a Translation style.
+// Numpad alignment: 2 is bottom center, 8 is top center.
+function formatAss(mergedSubs, styleConfig) {
+    const translationOnTop = styleConfig.translationPosition === 'top';
+    const lines = [
+        '[Script Info]',
+        'ScriptType: v4.00+',
+        'PlayResX: 1920',
+        'PlayResY: 1080',
+        'WrapStyle: 0',
+        'ScaledBorderAndShadow: yes',
+        '',
+        '[V4+ Styles]',
+        'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+        buildAssStyle('Main', styleConfig.main, 2, 50),
+        buildAssStyle('Translation', styleConfig.translation, translationOnTop ? 8 : 2, 50),
+        buildAssStyle('Rare', styleConfig.rare, 2, 50),
+        '',
+        '[Events]',
+        'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text'
+    ];
+
+    for (const sub of mergedSubs) {
+        const start = formatAssTime(parseTimeToMs(sub.startTime));
+        const end = formatAssTime(parseTimeToMs(sub.endTime));
+        const events = [];
+        if (sub.mainText) {
+            events.push(`Dialogue: 0,${start},${end},Main,,0,0,0,,${formatMainText(sub, escapeAssText, word => `{\\rRare}${word}{\\r}`, styleConfig.directions)}`);
+        }
+        const transText = translationText(sub, styleConfig.directions);
+        if (transText) {
+            const translationEvent = `Dialogue: 0,${start},${end},Translation,,0,0,0,,${escapeAssText(transText)}`;
+            // Events sharing the bottom alignment stack upwards, so the first one ends up lowest
+            if (translationOnTop || styleConfig.topLine === 'translation') {
+                events.push(translationEvent);
+            } else {
+                events.unshift(translationEvent);
+            }
+        }
+        lines.push(...events);
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+// --- WebVTT ---
+
+function formatVttTime(ms) {
+    const total = Math.max(0, Math.round(ms));
+    const hours = Math.floor(total / 3600000);
+    const minutes = Math.floor((total % 3600000) / 60000);
+    const seconds = Math.floor((total % 60000) / 1000);
+    const milliseconds = total % 1000;
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${pad(milliseconds, 3)}`;
+}
+
+function escapeVttText(text) {
+    return decodeCueEntities(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+// WebVTT supports ruby, so inline readings are shown above the text like real furigana
+function formatVttMainText(sub, directions) {
+    const reading = sub.mainReading;
+    if (!reading || reading.mode !== 'inline') {
+        return formatMainText(sub, escapeVttText, word => `<c.rare>${word}</c>`, directions);
+    }
+    return directedLine(reading.segments
+        .map(segment => segment.reading
+            ? `<ruby>${escapeVttText(segment.text)}<rt>${escapeVttText(segment.reading)}</rt></ruby>`
+            : escapeVttText(segment.text))
+        .join(''), directions, 'main');
+}
+
+function buildVttCueStyle(className, trackStyle) {
+    const outline = `-1px -1px ${trackStyle.outline}px #000, 1px 1px ${trackStyle.outline}px #000`;
+    return `::cue(.${className}) { color: #${trackStyle.color}; font-size: ${Math.round(trackStyle.fontSize / BASE_FONT_SIZE.main * 100)}%; font-style: ${trackStyle.italic ? 'italic' : 'normal'}; font-weight: ${trackStyle.bold ? 'bold' : 'normal'}; text-shadow: ${outline}; }`;
+}
+
+// Builds a WebVTT file where main and translation are separate cues with their own class and line position.
+// Players that ignore STYLE blocks still honour the line positions.
+function formatVtt(mergedSubs, styleConfig) {
+    const translationOnTop = styleConfig.translationPosition === 'top';
+    const translationAboveMain = styleConfig.topLine === 'translation';
+    const lines = [
+        'WEBVTT',
+        '',
+        'STYLE',
+        buildVttCueStyle('main', styleConfig.main),
+        buildVttCueStyle('translation', styleConfig.translation),
+        buildVttCueStyle('rare', styleConfig.rare),
+        ''
+    ];
+
+    let cueNumber = 0;
+    for (const sub of mergedSubs) {
+        const timing = `${formatVttTime(parseTimeToMs(sub.startTime))} --> ${formatVttTime(parseTimeToMs(sub.endTime))}`;
+        if (sub.mainText) {
+            cueNumber++;
+            const mainLine = translationOnTop || translationAboveMain ? 'line:-1' : 'line:-2';
+            lines.push(String(cueNumber), `${timing} ${mainLine} align:center`, `<c.main>${formatVttMainText(sub, styleConfig.directions)}</c>`, '');
+        }
+        const transText = translationText(sub, styleConfig.directions);
+        if (transText) {
+            cueNumber++;
+            let translationLine = 'line:-1';
+            if (translationOnTop) {
+                translationLine = 'line:0';
+            } else if (translationAboveMain) {
+                translationLine = 'line:-2';
+            }
+            lines.push(String(cueNumber), `${timing} ${translationLine} align:center`, `<c.translation>${escapeVttText(transText)}</c>`, '');
+        }
+    }
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    OUTPUT_FORMAT_OPTIONS,
+    TRANSLATION_POSITION_OPTIONS,
+    COLOR_OPTIONS,
+    FONT_SIZE_OPTIONS,
+    DEFAULT_STYLE_CONFIG,
+    parseStyleConfig,
+    decodeCueEntities,
+    formatAss,
+    formatVtt
+};
@@ -0,0 +1,151 @@
+// Word frequency lists used to highlight uncommon words in the main line.
+// A list is a text file named after the OpenSubtitles language code (eng.txt, tur.txt...),
+// optionally gzipped (eng.txt.gz), with one word per line from the most to the least frequent.
+// Lines may carry a count after the word ("the 2287232"), as in the FrequencyWords lists.
+
+const fs = require('fs');
+const path = require('path');
+const pako = require('pako');
+
+const DEFAULT_FREQUENCY_DIR = path.join(__dirname, '..', 'data', 'frequency');
+
+// Language variants that share one list
+const FREQUENCY_LIST_ALIASES = {
+    'spl': 'spa',
+    'spn': 'spa',
+    'pob': 'por',
+    'pom': 'por'
+};
+
+// Letters with combining marks, apostrophes and hyphens inside a word (don't, well-known).
+// Digits are matched too so that tokens like "v1" or "3rd" are skipped as a whole.
+const WORD_PATTERN = /[\p{L}\p{N}][\p{L}\p{M}\p{N}]*(?:['’-][\p{L}\p{N}][\p{L}\p{M}\p{N}]*)*/gu;
+
+// Scripts written without spaces between words. Text in them is split with the dictionary based
+// word segmentation of Intl.Segmenter (ICU), and single characters count as words there.
+const UNSPACED_SCRIPT_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+// HTML entities in the sanitized cue text (&amp; for "&"), whose names are not words
+const ENTITY_PATTERN = /&(?:[a-z]+|#\d+|#x[0-9a-f]+);/gi;
+
+const wordSegmenter = typeof Intl.Segmenter === 'function' ? new Intl.Segmenter(undefined, { granularity: 'word' }) : null;
+
+const loadedLists = new Map();
+
+function frequencyDirectory() {
+    return process.env.FREQUENCY_LISTS_DIR || DEFAULT_FREQUENCY_DIR;
+}
+
+// Path of the list for a language, or null when none is installed
+function findFrequencyListFile(lang) {
+    const code = FREQUENCY_LIST_ALIASES[lang] || lang;
+    for (const fileName of [`${code}.txt`, `${code}.txt.gz`]) {
+        const filePath = path.join(frequencyDirectory(), fileName);
+        if (fs.existsSync(filePath)) return filePath;
+    }
+    return null;
+}
+
+function hasFrequencyList(lang) {
+    return !!findFrequencyListFile(lang);
+}
+
+// Language codes of the installed lists, e.g. ['eng', 'tur']
+function listFrequencyLanguages() {
+    let fileNames;
+    try {
+        fileNames = fs.readdirSync(frequencyDirectory());
+    } catch (error) {
+        return [];
+    }
+    const languages = fileNames
+        .map(fileName => fileName.match(/^([a-z]{3})\.txt(?:\.gz)?$/))
+        .filter(Boolean)
+        .map(match => match[1]);
+    return [...new Set(languages)].sort();
+}
+
+// Loads the list for a language as a Map of lowercased word -> rank (1 is the most frequent).
+// Lists are read once and kept in memory; resolves to null when no list is installed.
+function loadFrequencyList(lang) {
+    if (loadedLists.has(lang)) return loadedLists.get(lang);
+
+    const filePath = findFrequencyListFile(lang);
+    if (!filePath) return Promise.resolve(null);
+
+    const loading = fs.promises.readFile(filePath).then(data => {
+        const text = filePath.endsWith('.gz') ? pako.ungzip(data, { to: 'string' }) : data.toString('utf8');
+        const ranks = new Map();
+        for (const line of text.split(/\r?\n/)) {
+            const word = line.trim().split(/\s+/)[0];
+            if (word && !ranks.has(word.toLowerCase())) {
+                ranks.set(word.toLowerCase(), ranks.size + 1);
+            }
+        }
+        console.log(`Loaded ${ranks.size} words from the ${lang} frequency list (${path.basename(filePath)}).`);
+        return ranks;
+    }).catch(error => {
+        console.error(`Failed to load the ${lang} frequency list: ${error.message}`);
+        loadedLists.delete(lang);
+        return null;
+    });
+    loadedLists.set(lang, loading);
+    return loading;
+}
+
+function wordRank(ranks, word) {
+    const lower = word.toLowerCase();
+    if (ranks.has(lower)) return ranks.get(lower);
+    // Contractions and possessives are often only listed by their stem (dog's -> dog)
+    const stem = lower.split(/['’]/)[0];
+    return ranks.has(stem) ? ranks.get(stem) : Infinity;
+}
+
+// The words of a text as [{ word, index, unspaced }], leaving out the names of HTML entities.
+// Without Intl.Segmenter (Node built without ICU data), text in a script without spaces yields
+// no words rather than whole sentences.
+function findWords(text) {
+    let words;
+    if (UNSPACED_SCRIPT_PATTERN.test(text)) {
+        if (!wordSegmenter) return [];
+        words = [...wordSegmenter.segment(text)]
+            .filter(segment => segment.isWordLike)
+            .map(segment => ({ word: segment.segment, index: segment.index, unspaced: UNSPACED_SCRIPT_PATTERN.test(segment.segment) }));
+    } else {
+        words = [...text.matchAll(WORD_PATTERN)].map(match => ({ word: match[0], index: match.index, unspaced: false }));
+    }
+    const entities = [...text.matchAll(ENTITY_PATTERN)].map(match => [match.index, match.index + match[0].length]);
+    return words.filter(({ word, index }) => !entities.some(([start, end]) => index < end && index + word.length > start));
+}
+
+// Splits text into [{ text, rare }] pieces, where rare words rank beyond the threshold.
+// Returns null when nothing in the text is rare, so callers can keep the plain text.
+function markRareWords(text, ranks, threshold) {
+    if (!text || !ranks || !threshold) return null;
+
+    const pieces = [];
+    let lastIndex = 0;
+    let rareCount = 0;
+    for (const { word, index, unspaced } of findWords(text)) {
+        // Single letters, numbers and codes are not vocabulary
+        if ((word.length < 2 && !unspaced) || /\p{N}/u.test(word) || wordRank(ranks, word) <= threshold) continue;
+        if (index > lastIndex) {
+            pieces.push({ text: text.substring(lastIndex, index), rare: false });
+        }
+        pieces.push({ text: word, rare: true });
+        lastIndex = index + word.length;
+        rareCount++;
+    }
+    if (rareCount === 0) return null;
+    if (lastIndex < text.length) {
+        pieces.push({ text: text.substring(lastIndex), rare: false });
+    }
+    return pieces;
+}
+
+module.exports = {
+    DEFAULT_FREQUENCY_DIR,
+    hasFrequencyList,
+    listFrequencyLanguages,
+    loadFrequencyList,
+    markRareWords
+};
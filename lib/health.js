@@ -0,0 +1,166 @@
+// Health tracking and circuit breaking of the subtitle providers.
+// Every search and download is recorded per provider in a rolling window: whether it failed and
+// how long it took. When too many calls of a provider fail, its circuit opens and the provider is
+// skipped right away instead of waiting for its timeouts. After a cooldown one probe call is let
+// through (half-open): success closes the circuit, failure opens it again for twice as long.
+//
+// Failures are timeouts and network errors, 403 (Cloudflare challenges), 429 and 5xx responses.
+// Other 4xx responses mean the provider is up, and the requests the rate limiter refused never
+// reached it. A file that is missing or cannot be decoded, converted or parsed is a problem of that
+// file, so downloads only fail the provider when they throw one of the errors above. Latencies include the time spent waiting for the
+// rate limiter, so they are only reported, slow calls are not failures.
+
+const ROLLING_WINDOW_MS = 5 * 60 * 1000;
+// Calls in the window before the error rate can open the circuit
+const MIN_CALLS = 3;
+const FAILURE_RATE_THRESHOLD = 0.5;
+const OPEN_MS = 30 * 1000;
+const MAX_OPEN_MS = 5 * 60 * 1000;
+
+// Whether an error means the provider itself is failing, rather than the request or one of its files
+function isProviderFailure(error) {
+    if (error.code === 'RATE_LIMITED') return false;
+    const status = error.response && error.response.status;
+    return !status || status === 403 || status === 429 || status >= 500;
+}
+
+function circuitOpenError(name, retryInMs) {
+    const error = new Error(`${name} is unavailable (circuit open), retrying it in ${Math.ceil(retryInMs / 1000)}s.`);
+    error.code = 'CIRCUIT_OPEN';
+    return error;
+}
+
+function createHealthTracker({
+    windowMs = ROLLING_WINDOW_MS,
+    minCalls = MIN_CALLS,
+    failureRateThreshold = FAILURE_RATE_THRESHOLD,
+    openMs = OPEN_MS,
+    maxOpenMs = MAX_OPEN_MS
+} = {}) {
+    // name -> { samples: [{ at, failed, latencyMs }], state, openUntil, openFor, probing }
+    const providers = new Map();
+
+    function getState(name) {
+        let state = providers.get(name);
+        if (!state) {
+            state = { samples: [], state: 'closed', openUntil: 0, openFor: openMs, probing: false };
+            providers.set(name, state);
+        }
+        return state;
+    }
+
+    function prune(state, now = Date.now()) {
+        while (state.samples.length > 0 && state.samples[0].at < now - windowMs) {
+            state.samples.shift();
+        }
+    }
+
+    function open(name, state, reason) {
+        state.state = 'open';
+        state.openUntil = Date.now() + state.openFor;
+        console.warn(`Circuit of ${name} opened for ${Math.round(state.openFor / 1000)}s (${reason}).`);
+    }
+
+    function record(name, failed, latencyMs) {
+        const state = getState(name);
+        const now = Date.now();
+        state.samples.push({ at: now, failed, latencyMs });
+        prune(state, now);
+
+        if (state.state === 'half-open') {
+            state.probing = false;
+            if (failed) {
+                state.openFor = Math.min(state.openFor * 2, maxOpenMs);
+                open(name, state, 'probe failed');
+            } else {
+                console.log(`Circuit of ${name} closed again, the probe succeeded.`);
+                state.state = 'closed';
+                state.openFor = openMs;
+                state.samples = [state.samples[state.samples.length - 1]];
+            }
+            return;
+        }
+
+        if (state.state === 'closed' && failed && state.samples.length >= minCalls) {
+            const failureRate = state.samples.filter(sample => sample.failed).length / state.samples.length;
+            if (failureRate >= failureRateThreshold) {
+                open(name, state, `${Math.round(failureRate * 100)}% of ${state.samples.length} calls failed`);
+            }
+        }
+    }
+
+    // Whether a call may go out now; an open circuit past its cooldown lets one probe through
+    function allow(name) {
+        const state = getState(name);
+        if (state.state === 'closed') return true;
+        if (state.state === 'open' && Date.now() >= state.openUntil) {
+            state.state = 'half-open';
+            state.probing = false;
+        }
+        if (state.state === 'half-open' && !state.probing) {
+            state.probing = true;
+            console.log(`Probing ${name}...`);
+            return true;
+        }
+        return false;
+    }
+
+    // Runs call() for the provider unless its circuit is open, in which case it fails right away
+    // with a CIRCUIT_OPEN error. isFailedResult tells which resolved values count as failures.
+    async function run(name, call, isFailedResult = () => false) {
+        if (!allow(name)) {
+            const state = getState(name);
+            throw circuitOpenError(name, Math.max(0, state.openUntil - Date.now()));
+        }
+        const startedAt = Date.now();
+        try {
+            const result = await call();
+            record(name, isFailedResult(result), Date.now() - startedAt);
+            return result;
+        } catch (error) {
+            record(name, isProviderFailure(error), Date.now() - startedAt);
+            throw error;
+        }
+    }
+
+    // Rolling statistics and circuit state of every provider seen so far
+    function snapshot() {
+        const now = Date.now();
+        const report = {};
+        for (const [name, state] of providers) {
+            prune(state, now);
+            const latencies = state.samples.map(sample => sample.latencyMs).sort((a, b) => a - b);
+            const failures = state.samples.filter(sample => sample.failed).length;
+            report[name] = {
+                state: state.state,
+                calls: state.samples.length,
+                errorRate: state.samples.length > 0 ? Number((failures / state.samples.length).toFixed(2)) : 0,
+                meanLatencyMs: latencies.length > 0 ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length) : null,
+                p95LatencyMs: latencies.length > 0 ? latencies[Math.min(latencies.length - 1, Math.floor(latencies.length * 0.95))] : null,
+                retryInMs: state.state === 'open' ? Math.max(0, state.openUntil - now) : 0
+            };
+        }
+        return report;
+    }
+
+    return {
+        run,
+        record,
+        snapshot
+    };
+}
+
+// Same provider shape (see lib/providers.js) with its searches and downloads going through the tracker
+function withHealthTracking(provider, tracker) {
+    return {
+        ...provider,
+        search: query => tracker.run(provider.name, () => provider.search(query)),
+        download: (candidate, context) => tracker.run(provider.name, () => provider.download(candidate, context))
+    };
+}
+
+module.exports = {
+    isProviderFailure,
+    createHealthTracker,
+    withHealthTracking
+};
@@ -0,0 +1,501 @@
+// Merging of the main and translation tracks into dual language cues,
+// plus the layout options (order, emphasis, separator...) that shape each merged cue.
+
+const sanitize = require('sanitize-html');
+const { parseTimeToMs, formatMsToTime, toIntervals, lowerBound } = require('./time');
+const { formatInlineReading } = require('./reading');
+const { markRareWords } = require('./frequency');
+const { normalizeRtlLine, isolateLine } = require('./bidi');
+const { pickOption } = require('./options');
+
+// Labels shown in the addon configuration, mapped to internal values
+const TOP_LINE_OPTIONS = {
+    'Main language': 'main',
+    'Translation': 'translation'
+};
+
+const EMPHASIS_OPTIONS = {
+    'None': 'none',
+    'Italic': 'italic',
+    'Bold': 'bold'
+};
+
+const SEPARATOR_OPTIONS = {
+    'New line': '\n',
+    'Same line, separated by |': ' | ',
+    'Same line, separated by /': ' / '
+};
+
+const UNMATCHED_MAIN_OPTIONS = {
+    'Keep them (main line only)': true,
+    'Drop them': false
+};
+
+// Translation cues near no main cue are never dropped: they are shown on their own (where
+// nothing else is on screen) or joined to the main line closest in time
+const TRANSLATION_FALLBACK_OPTIONS = {
+    'Show them on their own': 'alone',
+    'Add them to the nearest main line': 'nearest'
+};
+
+// Reading aid for Japanese, Chinese and Korean main lines (see lib/reading.js)
+const READING_AID_OPTIONS = {
+    'Off': 'off',
+    'Extra line under the main line': 'line',
+    'Inline after each word': 'inline'
+};
+
+const JAPANESE_READING_OPTIONS = {
+    'Romaji': 'romaji',
+    'Hiragana (furigana)': 'kana'
+};
+
+// Words of the main line ranked beyond this in the language's frequency list are highlighted
+const DIFFICULTY_THRESHOLD_OPTIONS = {
+    'Off': 0,
+    'Beyond the top 1000': 1000,
+    'Beyond the top 3000': 3000,
+    'Beyond the top 5000': 5000,
+    'Beyond the top 10000': 10000
+};
+
+// "Guess first" mode: the translation appears after a delay or only for the last part of the cue.
+// revealAt is the share of the cue duration that passes before the translation is shown.
+const TRANSLATION_REVEAL_OPTIONS = {
+    'With the main line': null,
+    'After 1 second': { delayMs: 1000 },
+    'After 2 seconds': { delayMs: 2000 },
+    'For the last half': { revealAt: 0.5 },
+    'For the last third': { revealAt: 2 / 3 }
+};
+
+// Labels renamed to keep the manifest under 8kb, as saved configurations still carry them
+const RENAMED_LABELS = {
+    'Top 1000 words are known': 'Beyond the top 1000',
+    'Top 3000 words are known': 'Beyond the top 3000',
+    'Top 5000 words are known': 'Beyond the top 5000',
+    'Top 10000 words are known': 'Beyond the top 10000',
+    'Together with the main line': 'With the main line',
+    'During the last half of the line': 'For the last half',
+    'During the last third of the line': 'For the last third'
+};
+
+// The translation stays on screen at least this long, even when the cue is shorter than the delay
+const MIN_REVEAL_MS = 500;
+
+const DEFAULT_LAYOUT_CONFIG = {
+    topLine: 'Main language',
+    mainEmphasis: 'None',
+    translationEmphasis: 'Italic',
+    separator: 'New line',
+    unmatchedMain: 'Keep them (main line only)',
+    translationFallback: 'Show them on their own',
+    readingAid: 'Off',
+    japaneseReading: 'Romaji',
+    difficultyThreshold: 'Off',
+    translationReveal: 'With the main line'
+};
+
+// Turns the addon config into the layout used while merging and formatting
+function parseLayoutConfig(config = {}) {
+    const settings = { ...DEFAULT_LAYOUT_CONFIG, ...config };
+    return {
+        topLine: pickOption(TOP_LINE_OPTIONS, settings.topLine, DEFAULT_LAYOUT_CONFIG.topLine),
+        mainEmphasis: pickOption(EMPHASIS_OPTIONS, settings.mainEmphasis, DEFAULT_LAYOUT_CONFIG.mainEmphasis),
+        translationEmphasis: pickOption(EMPHASIS_OPTIONS, settings.translationEmphasis, DEFAULT_LAYOUT_CONFIG.translationEmphasis),
+        separator: pickOption(SEPARATOR_OPTIONS, settings.separator, DEFAULT_LAYOUT_CONFIG.separator),
+        keepUnmatchedMain: pickOption(UNMATCHED_MAIN_OPTIONS, settings.unmatchedMain, DEFAULT_LAYOUT_CONFIG.unmatchedMain),
+        translationFallback: pickOption(TRANSLATION_FALLBACK_OPTIONS, settings.translationFallback, DEFAULT_LAYOUT_CONFIG.translationFallback),
+        readingAid: pickOption(READING_AID_OPTIONS, settings.readingAid, DEFAULT_LAYOUT_CONFIG.readingAid),
+        japaneseReading: pickOption(JAPANESE_READING_OPTIONS, settings.japaneseReading, DEFAULT_LAYOUT_CONFIG.japaneseReading),
+        difficultyThreshold: pickOption(DIFFICULTY_THRESHOLD_OPTIONS, settings.difficultyThreshold, DEFAULT_LAYOUT_CONFIG.difficultyThreshold, RENAMED_LABELS),
+        translationReveal: pickOption(TRANSLATION_REVEAL_OPTIONS, settings.translationReveal, DEFAULT_LAYOUT_CONFIG.translationReveal, RENAMED_LABELS)
+    };
+}
+
+const DEFAULT_LAYOUT = parseLayoutConfig();
+
+function applyEmphasis(text, emphasis) {
+    switch (emphasis) {
+        case 'italic':
+            return `<i>${text}</i>`;
+        case 'bold':
+            return `<b>${text}</b>`;
+        default:
+            return text;
+    }
+}
+
+// Main line text with rare words highlighted. Bold is already taken when the whole line is bold.
+function highlightRareWords(mainWords, layout) {
+    const emphasis = layout.mainEmphasis === 'bold' ? 'u' : 'b';
+    return mainWords.map(word => word.rare ? `<${emphasis}>${word.text}</${emphasis}>` : word.text).join('');
+}
+
+// Builds the SRT text of a merged cue from its lines:
+//   mainText, transText       - main and translation lines, either may be null
+//   secondTransText           - optional second translation of tri-subs mode, shown next to the first one
+//   mainReading               - optional reading aid of the main line ({ mode, line, segments })
+//   mainWords                 - optional main line split into [{ text, rare }] for difficulty highlighting
+// layout.directions (from cueDirections) isolates every line with its own direction when one
+// of the languages is written right to left.
+function composeCueText({ mainText, transText, secondTransText = null, mainReading = null, mainWords = null }, layout = DEFAULT_LAYOUT) {
+    const directions = layout.directions || null;
+    const isolate = (text, direction) => directions ? isolateLine(text, directions[direction]) : text;
+    const transLines = [[transText, 'translation'], [secondTransText, 'secondTranslation']]
+        .filter(([text]) => text)
+        .map(([text, direction]) => applyEmphasis(isolate(text, direction), layout.translationEmphasis));
+    const mainLines = [];
+    if (mainText) {
+        let annotatedMain = mainText;
+        if (mainReading && mainReading.mode === 'inline') {
+            annotatedMain = formatInlineReading(mainReading.segments);
+        } else if (mainWords) {
+            annotatedMain = highlightRareWords(mainWords, layout);
+        }
+        mainLines.push(applyEmphasis(isolate(annotatedMain, 'main'), layout.mainEmphasis));
+        if (mainReading && mainReading.mode === 'line' && mainReading.line) {
+            mainLines.push(mainReading.line);
+        }
+    }
+    const lines = layout.topLine === 'translation'
+        ? [...transLines, ...mainLines]
+        : [...mainLines, ...transLines];
+    return lines.join(layout.separator);
+}
+
+// Strips markup and flattens the cue text onto a single line.
+// Lines of right-to-left tracks are repaired first, while the dialogue lines are still apart.
+function cleanCueText(text, direction = 'ltr') {
+    const cleanText = sanitize(text, {
+        allowedTags: [],      // No tags allowed
+        allowedAttributes: {} // No attributes allowed
+    });
+    if (direction === 'rtl') {
+        return cleanText.split(/\r?\n|\r/).map(normalizeRtlLine).filter(Boolean).join(' ');
+    }
+    return cleanText.replace(/\r?\n|\r/g, ' ');
+}
+
+// A translation cue overlapping a main cue by at least this share of the shorter of the two
+// carries (part of) the same sentence, e.g. one main sentence split over two translation cues
+const MIN_SHARED_OVERLAP = 0.5;
+// Segments joining more main cues than this are split back up, so a chain of long
+// translation cues cannot glue a whole scene into a single cue
+const MAX_MAIN_CUES_PER_SEGMENT = 3;
+
+function overlapMs(a, b) {
+    return Math.max(0, Math.min(a.end, b.end) - Math.max(a.start, b.start));
+}
+
+// Positions (in mainIntervals) of the main cues one translation cue belongs to.
+// Several when it shares most of its time with more than one main cue, otherwise the main cue
+// it overlaps the most or, failing that, the one starting closest within mergeThresholdMs.
+function linkTranslationCue(transInterval, mainIntervals, mainStarts, maxMainDurationMs, mergeThresholdMs, allowShared) {
+    const from = lowerBound(mainStarts, transInterval.start - Math.max(maxMainDurationMs, mergeThresholdMs));
+    const shared = [];
+    let bestOverlap = 0;
+    let bestOverlapPosition = -1;
+    let closestDiff = Infinity;
+    let closestPosition = -1;
+
+    for (let position = from; position < mainIntervals.length; position++) {
+        const mainInterval = mainIntervals[position];
+        if (mainInterval.start >= transInterval.end + mergeThresholdMs) break;
+
+        const overlap = overlapMs(mainInterval, transInterval);
+        const shorter = Math.max(1, Math.min(mainInterval.end - mainInterval.start, transInterval.end - transInterval.start));
+        if (overlap > 0 && overlap >= shorter * MIN_SHARED_OVERLAP) {
+            shared.push(position);
+        }
+        if (overlap > bestOverlap) {
+            bestOverlap = overlap;
+            bestOverlapPosition = position;
+        }
+        const startDiff = Math.abs(mainInterval.start - transInterval.start);
+        if (startDiff < mergeThresholdMs && startDiff < closestDiff) {
+            closestDiff = startDiff;
+            closestPosition = position;
+        }
+    }
+
+    if (allowShared && shared.length > 0) return shared;
+    if (bestOverlapPosition !== -1) return [bestOverlapPosition];
+    if (closestPosition !== -1) return [closestPosition];
+    return [];
+}
+
+// Groups the main cues and the cues of each translation track into aligned segments.
+// Every translation cue ends up in exactly one segment, or in `unpaired` when no main cue is
+// near it; main cues linked through a shared translation cue form a single segment.
+// Returns { segments: [{ mainIndexes, trackIndexes: [[...], ...] }], unpaired: [[...], ...] }
+// with indexes into mainSubs and into each track, all in time order.
+function pairCues(mainSubs, tracks, mergeThresholdMs) {
+    const mainIntervals = toIntervals(mainSubs, 'main');
+    const mainStarts = mainIntervals.map(interval => interval.start);
+    const maxMainDurationMs = mainIntervals.reduce((max, interval) => Math.max(max, interval.end - interval.start), 0);
+    const trackIntervals = tracks.map(track => toIntervals(track, 'translation'));
+
+    const link = (interval, allowShared) =>
+        linkTranslationCue(interval, mainIntervals, mainStarts, maxMainDurationMs, mergeThresholdMs, allowShared);
+
+    // Union-find over main cue positions, joined by translation cues linked to several of them
+    function groupMains(links) {
+        const parent = mainIntervals.map((_, position) => position);
+        const find = position => {
+            while (parent[position] !== position) {
+                parent[position] = parent[parent[position]];
+                position = parent[position];
+            }
+            return position;
+        };
+        for (const trackLinks of links) {
+            for (const positions of trackLinks) {
+                for (let i = 1; i < positions.length; i++) {
+                    parent[find(positions[i])] = find(positions[0]);
+                }
+            }
+        }
+        return find;
+    }
+
+    let links = trackIntervals.map(intervals => intervals.map(interval => link(interval, true)));
+    let find = groupMains(links);
+
+    // Oversized groups are split again: their translation cues keep only their best main cue
+    const groupSizes = new Map();
+    mainIntervals.forEach((_, position) => groupSizes.set(find(position), (groupSizes.get(find(position)) || 0) + 1));
+    const oversizedRoots = new Set([...groupSizes].filter(([, size]) => size > MAX_MAIN_CUES_PER_SEGMENT).map(([root]) => root));
+    if (oversizedRoots.size > 0) {
+        links = links.map((trackLinks, trackIndex) => trackLinks.map((positions, cueIndex) =>
+            positions.length > 1 && oversizedRoots.has(find(positions[0]))
+                ? link(trackIntervals[trackIndex][cueIndex], false)
+                : positions
+        ));
+        find = groupMains(links);
+    }
+
+    // One segment per group, in the order of their first main cue
+    const segmentsByRoot = new Map();
+    mainIntervals.forEach((interval, position) => {
+        const root = find(position);
+        if (!segmentsByRoot.has(root)) {
+            segmentsByRoot.set(root, { mainIndexes: [], trackIndexes: tracks.map(() => []) });
+        }
+        segmentsByRoot.get(root).mainIndexes.push(interval.index);
+    });
+
+    const unpaired = tracks.map(() => []);
+    links.forEach((trackLinks, trackIndex) => {
+        trackLinks.forEach((positions, cueIndex) => {
+            const transIndex = trackIntervals[trackIndex][cueIndex].index;
+            if (positions.length === 0) {
+                unpaired[trackIndex].push(transIndex);
+            } else {
+                segmentsByRoot.get(find(positions[0])).trackIndexes[trackIndex].push(transIndex);
+            }
+        });
+    });
+
+    return { segments: [...segmentsByRoot.values()], unpaired };
+}
+
+function cueInterval(sub) {
+    return { start: parseTimeToMs(sub.startTime), end: parseTimeToMs(sub.endTime) };
+}
+
+// Adds every unpaired cue of each track to the segment whose main cues are closest in time,
+// keeping the cues of a segment in time order
+function attachToNearestSegments(segments, unpaired, mainSubs, tracks) {
+    const spans = segments.map(segment => {
+        const intervals = segment.mainIndexes.map(index => cueInterval(mainSubs[index]));
+        return {
+            start: Math.min(...intervals.map(interval => interval.start)),
+            end: Math.max(...intervals.map(interval => interval.end))
+        };
+    });
+    unpaired.forEach((indexes, trackIndex) => {
+        const track = tracks[trackIndex];
+        indexes.forEach(index => {
+            const interval = cueInterval(track[index]);
+            let nearest = 0;
+            let nearestGapMs = Infinity;
+            spans.forEach((span, position) => {
+                const gapMs = Math.max(span.start - interval.end, interval.start - span.end, 0);
+                if (gapMs < nearestGapMs) {
+                    nearestGapMs = gapMs;
+                    nearest = position;
+                }
+            });
+            const trackIndexes = segments[nearest].trackIndexes[trackIndex];
+            trackIndexes.push(index);
+            trackIndexes.sort((a, b) => parseTimeToMs(track[a].startTime) - parseTimeToMs(track[b].startTime));
+        });
+    });
+}
+
+// Splits a merged cue for the "guess first" mode: the main line alone, then main and translation
+// from the reveal time to the end. Both parts stay within the original cue, which the second one
+// remembers as segmentStartTime. Cues too short to split, or without both lines, are kept whole.
+function splitForReveal(cue, reveal, layout) {
+    if (!reveal || !cue.mainText || (!cue.transText && !cue.secondTransText)) return [cue];
+
+    const startMs = parseTimeToMs(cue.startTime);
+    const endMs = parseTimeToMs(cue.endTime);
+    const wantedRevealMs = reveal.delayMs !== undefined
+        ? startMs + reveal.delayMs
+        : startMs + (endMs - startMs) * reveal.revealAt;
+    const revealMs = Math.round(Math.min(wantedRevealMs, endMs - MIN_REVEAL_MS));
+    if (revealMs <= startMs) return [cue];
+
+    const mainOnlyLines = {
+        mainText: cue.mainText,
+        mainReading: cue.mainReading,
+        mainWords: cue.mainWords,
+        transText: null,
+        secondTransText: null
+    };
+    return [
+        {
+            ...cue,
+            ...mainOnlyLines,
+            endTime: formatMsToTime(revealMs),
+            text: composeCueText(mainOnlyLines, layout)
+        },
+        {
+            ...cue,
+            startTime: formatMsToTime(revealMs),
+            segmentStartTime: cue.startTime
+        }
+    ];
+}
+
+// Flattened text of several cues of one track, joined in time order, or null when there are none
+function joinCueTexts(subs, indexes, direction) {
+    const texts = indexes.map(index => cleanCueText(subs[index].text, direction)).filter(Boolean);
+    return texts.length > 0 ? texts.join(' ') : null;
+}
+
+// Merges two arrays of parsed subtitles based on time.
+// Cues are paired many-to-many: translation fragments belonging to one main cue are joined,
+// and main cues sharing one translation cue become a single cue, so every translation line
+// is used exactly once: cues near no main cue are shown on their own or, as layout.translationFallback
+// says, added to the nearest main cue.
+// options.layout comes from parseLayoutConfig, options.mergeThresholdMs is the start time
+// proximity that still counts as a match when the cues do not overlap.
+// options.secondTransSubs is an optional second translation track (tri-subs mode).
+// options.readingAnnotator (from createReadingAnnotator) adds readings to the main lines
+// as configured by layout.readingAid.
+// options.frequencyRanks (from loadFrequencyList) marks main line words beyond layout.difficultyThreshold.
+// layout.directions (from cueDirections) is set when one of the languages is written right to left.
+function mergeSubtitles(mainSubs, transSubs, options = {}) {
+    const { layout = DEFAULT_LAYOUT, mergeThresholdMs = 500, secondTransSubs = null, readingAnnotator = null, frequencyRanks = null } = options;
+    const directions = layout.directions || {};
+    const readingMode = readingAnnotator && layout.readingAid !== 'off' ? layout.readingAid : null;
+    console.log(`Merging ${mainSubs.length} main subs with ${transSubs.length} translation subs${secondTransSubs ? ` and ${secondTransSubs.length} second translation subs` : ''}.`);
+    const mergedSubs = [];
+
+    const tracks = secondTransSubs ? [transSubs, secondTransSubs] : [transSubs];
+    const { segments, unpaired } = pairCues(mainSubs, tracks, mergeThresholdMs);
+    const attachUnpaired = layout.translationFallback === 'nearest' && segments.length > 0;
+    if (attachUnpaired) {
+        attachToNearestSegments(segments, unpaired, mainSubs, tracks);
+    }
+    const shownAlone = attachUnpaired ? tracks.map(() => []) : unpaired;
+    let joinedCount = 0;
+
+    for (const segment of segments) {
+        const segmentMains = segment.mainIndexes.map(index => mainSubs[index]);
+        const flatMainText = segmentMains.map(sub => cleanCueText(sub.text, directions.main)).join(' ');
+        const flatTransText = joinCueTexts(transSubs, segment.trackIndexes[0], directions.translation);
+        const flatSecondTransText = secondTransSubs ? joinCueTexts(secondTransSubs, segment.trackIndexes[1], directions.secondTranslation) : null;
+
+        // Main cues without any translation are kept as is (also flattened) unless configured otherwise
+        if (!flatTransText && !flatSecondTransText && !layout.keepUnmatchedMain) {
+            continue;
+        }
+
+        // A segment spanning several main cues shows from the first one's start to the last end
+        const lastMain = segmentMains.reduce((latest, sub) =>
+            parseTimeToMs(sub.endTime) > parseTimeToMs(latest.endTime) ? sub : latest);
+        if (segmentMains.length > 1) joinedCount++;
+
+        // Keep the lines separately for the styled output formats
+        const lines = {
+            mainText: flatMainText,
+            mainReading: readingMode && flatMainText
+                ? { mode: readingMode, ...readingAnnotator.annotate(flatMainText) }
+                : null,
+            mainWords: markRareWords(flatMainText, frequencyRanks, layout.difficultyThreshold),
+            transText: flatTransText,
+            secondTransText: flatSecondTransText
+        };
+
+        const mergedCue = {
+            ...segmentMains[0], // Keep main timing and ID
+            endTime: lastMain.endTime,
+            text: composeCueText(lines, layout),
+            ...lines
+        };
+        mergedSubs.push(...splitForReveal(mergedCue, layout.translationReveal, layout));
+    }
+    if (joinedCount > 0) {
+        console.log(`Joined main cues into ${joinedCount} segment(s) sharing a translation cue.`);
+    }
+
+    // Translation cues that belong to no main cue are shown on their own. Unpaired cues never
+    // overlap a main cue, so nothing else is on screen at that time. A second translation cue
+    // overlapping a translation cue shown this way joins it, the others are shown alone as well.
+    const translationOnlyCues = shownAlone[0].map(index => ({
+        sub: transSubs[index],
+        transIndexes: [index],
+        secondTransIndexes: []
+    }));
+    (shownAlone[1] || []).forEach(index => {
+        const secondTransSub = secondTransSubs[index];
+        const partner = translationOnlyCues.find(cue => cue.transIndexes.length > 0 && overlapMs(cueInterval(cue.sub), cueInterval(secondTransSub)) > 0);
+        if (partner) {
+            partner.secondTransIndexes.push(index);
+        } else {
+            translationOnlyCues.push({ sub: secondTransSub, transIndexes: [], secondTransIndexes: [index] });
+        }
+    });
+    if (translationOnlyCues.length > 0) {
+        translationOnlyCues.forEach(cue => {
+            const lines = {
+                mainText: null,
+                mainReading: null,
+                mainWords: null,
+                transText: joinCueTexts(transSubs, cue.transIndexes, directions.translation),
+                secondTransText: secondTransSubs ? joinCueTexts(secondTransSubs, cue.secondTransIndexes, directions.secondTranslation) : null
+            };
+            mergedSubs.push({
+                ...cue.sub,
+                text: composeCueText(lines, layout),
+                ...lines
+            });
+        });
+        console.log(`Added ${translationOnlyCues.length} translation-only cue(s) where no main cue was shown.`);
+        mergedSubs.sort((a, b) => parseTimeToMs(a.startTime) - parseTimeToMs(b.startTime));
+    }
+
+    console.log(`Finished merging. Result has ${mergedSubs.length} entries.`);
+    return mergedSubs;
+}
+
+module.exports = {
+    TOP_LINE_OPTIONS,
+    EMPHASIS_OPTIONS,
+    SEPARATOR_OPTIONS,
+    UNMATCHED_MAIN_OPTIONS,
+    TRANSLATION_FALLBACK_OPTIONS,
+    READING_AID_OPTIONS,
+    JAPANESE_READING_OPTIONS,
+    DIFFICULTY_THRESHOLD_OPTIONS,
+    TRANSLATION_REVEAL_OPTIONS,
+    DEFAULT_LAYOUT_CONFIG,
+    parseLayoutConfig,
+    composeCueText,
+    cleanCueText,
+    mergeSubtitles
+};
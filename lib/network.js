@@ -0,0 +1,64 @@
+// Guards requests to URLs that come from users, such as the extra subtitle addons in a
+// configuration and the download URLs those addons return. The addon server would otherwise
+// fetch whatever they point at, including services only reachable from the server itself.
+// Host names are checked when they are resolved, so redirects and DNS answers that change
+// between a check and the request are covered too; IP addresses in URLs are checked before
+// the request and before every redirect.
+
+const dns = require('dns');
+const net = require('net');
+
+// Loopback, private, carrier-grade NAT, link-local, multicast and reserved ranges
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isPublicAddress(address) {
+    const family = net.isIP(address);
+    if (!family) return false;
+    return !NON_PUBLIC_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function blockedAddressError(host, address) {
+    const error = new Error(`Refusing to connect to ${host} (${address}), it is not a public address`);
+    error.code = 'BLOCKED_ADDRESS';
+    return error;
+}
+
+// Throws when the host of a URL is an IP address that is not public; host names are left to the lookup
+function assertPublicHost(hostname) {
+    const host = String(hostname || '').replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && !isPublicAddress(host)) {
+        throw blockedAddressError(host, host);
+    }
+}
+
+// Resolves a host name like the default lookup, failing when any of its addresses is not public
+async function lookupPublicAddresses(hostname, options = {}) {
+    const addresses = await dns.promises.lookup(hostname, { ...options, all: true });
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) {
+        throw blockedAddressError(hostname, blocked.address);
+    }
+    return addresses;
+}
+
+// axios options for a request to a URL from a user. Throws right away when the URL itself
+// names a non-public IP address.
+function publicOnlyRequestOptions(url) {
+    assertPublicHost(new URL(url).hostname);
+    return {
+        lookup: lookupPublicAddresses,
+        beforeRedirect: options => assertPublicHost(options.hostname)
+    };
+}
+
+module.exports = {
+    isPublicAddress,
+    publicOnlyRequestOptions
+};
@@ -0,0 +1,226 @@
+// OpenSubtitles.com REST API v1 (api.opensubtitles.com), the official successor of rest.opensubtitles.org.
+// Every request needs an API key (https://www.opensubtitles.com/consumers). Searching is free,
+// downloads count against a daily quota: the API key's anonymous one, or the user's own once logged in.
+// A download is two steps: POST /download returns a temporary link to the file, which is then fetched.
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { isProviderFailure } = require('./health');
+
+const OPENSUBTITLES_COM_API_URL = 'https://api.opensubtitles.com/api/v1';
+
+// The API asks consumers to identify themselves with their app name and version
+const DEFAULT_USER_AGENT = 'Strelingo v0.1.1';
+
+// Login tokens are valid for 24 hours, they are renewed a bit earlier
+const TOKEN_TTL_MS = 23 * 3600 * 1000;
+
+// OpenSubtitles language IDs mapped to the language codes of the v1 API.
+// Languages missing here are not searched on OpenSubtitles.com.
+const OPENSUBTITLES_COM_LANGUAGE_CODES = {
+    'afr': 'af', 'alb': 'sq', 'ara': 'ar', 'arm': 'hy', 'baq': 'eu', 'bel': 'be', 'ben': 'bn',
+    'bos': 'bs', 'bre': 'br', 'bul': 'bg', 'bur': 'my', 'cat': 'ca', 'chi': 'zh-cn', 'cze': 'cs',
+    'dan': 'da', 'dut': 'nl', 'ell': 'el', 'eng': 'en', 'epo': 'eo', 'est': 'et', 'fin': 'fi',
+    'fre': 'fr', 'geo': 'ka', 'ger': 'de', 'gla': 'gd', 'gle': 'ga', 'glg': 'gl', 'heb': 'he',
+    'hin': 'hi', 'hrv': 'hr', 'hun': 'hu', 'ice': 'is', 'ind': 'id', 'ita': 'it', 'jpn': 'ja',
+    'kan': 'kn', 'kaz': 'kk', 'khm': 'km', 'kor': 'ko', 'kur': 'ku', 'lav': 'lv', 'lit': 'lt',
+    'ltz': 'lb', 'mac': 'mk', 'mal': 'ml', 'mar': 'mr', 'may': 'ms', 'mne': 'me', 'mon': 'mn',
+    'nep': 'ne', 'nor': 'no', 'oci': 'oc', 'per': 'fa', 'pob': 'pt-br', 'pol': 'pl', 'por': 'pt-pt',
+    'rum': 'ro', 'rus': 'ru', 'scc': 'sr', 'sin': 'si', 'slo': 'sk', 'slv': 'sl', 'som': 'so',
+    'spa': 'es', 'spl': 'ea', 'swa': 'sw', 'swe': 'sv', 'syr': 'sy', 'tam': 'ta', 'tat': 'tt',
+    'tel': 'te', 'tgl': 'tl', 'tha': 'th', 'tur': 'tr', 'ukr': 'uk', 'urd': 'ur', 'uzb': 'uz',
+    'vie': 'vi', 'wel': 'cy', 'zhe': 'ze', 'zht': 'zh-tw'
+};
+
+// Login sessions shared by the requests of the same user, keyed by buildAccountKey so a session is only
+// reused with the password it was opened with: accountKey -> { token, baseUrl, expiresAt }
+const sessions = new Map();
+
+// Splits the "username:password" login setting. The password may contain colons itself.
+function parseOpenSubtitlesLogin(text) {
+    if (!text || !text.includes(':')) return null;
+    const separatorIndex = text.indexOf(':');
+    const username = text.substring(0, separatorIndex).trim();
+    const password = text.substring(separatorIndex + 1);
+    return username && password ? { username, password } : null;
+}
+
+// Short hash of an account's credentials (null without an account). Work done with one account's
+// download quota, such as a running build or download, is only shared with requests using the same one.
+function buildAccountKey(account) {
+    if (!account) return null;
+    const credentials = JSON.stringify([account.apiKey, account.username || null, account.password || null]);
+    return crypto.createHash('sha256').update(credentials).digest('hex').substring(0, 12);
+}
+
+// Query string with the parameters sorted and lowercased, as the API documentation asks,
+// so requests are not redirected
+function buildQuery(params) {
+    return Object.keys(params)
+        .filter(key => params[key] !== undefined && params[key] !== null && params[key] !== '')
+        .sort()
+        .map(key => `${key}=${encodeURIComponent(String(params[key]).toLowerCase())}`)
+        .join('&');
+}
+
+// OpenSubtitles.com as a subtitle provider (see lib/providers.js).
+// username and password are optional; without them downloads use the API key's anonymous quota.
+// fetchContent is the function that downloads and converts a subtitle file (fetchSubtitleContent),
+// rateLimit(url, request) the rate limiter API requests go through.
+function createOpenSubtitlesComProvider({ apiKey, username = null, password = null, userAgent = DEFAULT_USER_AGENT, fetchContent, rateLimit = (url, request) => request(), timeoutMs = 10000 }) {
+    const accountKey = buildAccountKey({ apiKey, username, password });
+
+    function headers(session = null) {
+        return {
+            'Api-Key': apiKey,
+            'User-Agent': userAgent,
+            'Accept': 'application/json',
+            'Content-Type': 'application/json',
+            ...(session && session.token ? { 'Authorization': `Bearer ${session.token}` } : {})
+        };
+    }
+
+    // Logs in once per user and keeps the token; the API may answer with a dedicated host
+    // (e.g. vip-api.opensubtitles.com) that the following requests should go to
+    async function getSession(forceLogin = false) {
+        if (!username || !password) {
+            return { token: null, baseUrl: OPENSUBTITLES_COM_API_URL };
+        }
+        const cached = sessions.get(accountKey);
+        if (cached && !forceLogin && cached.expiresAt > Date.now()) {
+            return cached;
+        }
+
+        console.log(`Logging in to OpenSubtitles.com as ${username}...`);
+        try {
+            const loginUrl = `${OPENSUBTITLES_COM_API_URL}/login`;
+            const response = await rateLimit(loginUrl, () => axios.post(loginUrl, { username, password }, {
+                headers: headers(),
+                timeout: timeoutMs
+            }));
+            const { token, base_url: baseHost, user } = response.data || {};
+            if (!token) {
+                throw new Error('no token in the login response');
+            }
+            const session = {
+                token,
+                baseUrl: baseHost ? `https://${baseHost.replace(/^https?:\/\//, '').replace(/\/+$/, '')}/api/v1` : OPENSUBTITLES_COM_API_URL,
+                expiresAt: Date.now() + TOKEN_TTL_MS
+            };
+            sessions.set(accountKey, session);
+            if (user) {
+                console.log(`Logged in to OpenSubtitles.com (${user.allowed_downloads} downloads allowed per day).`);
+            }
+            return session;
+        } catch (error) {
+            // Searching still works without a login, downloads then use the anonymous quota
+            console.error(`OpenSubtitles.com login failed: ${error.response ? error.response.status : error.message}. Continuing without it.`);
+            sessions.delete(accountKey);
+            return { token: null, baseUrl: OPENSUBTITLES_COM_API_URL };
+        }
+    }
+
+    async function search({ languageId, baseSearchParams, stream = {} }) {
+        const params = { languages: OPENSUBTITLES_COM_LANGUAGE_CODES[languageId] };
+        if (baseSearchParams.episode) {
+            params.parent_imdb_id = parseInt(baseSearchParams.imdbid, 10);
+            params.season_number = baseSearchParams.season;
+            params.episode_number = baseSearchParams.episode;
+        } else {
+            params.imdb_id = parseInt(baseSearchParams.imdbid, 10);
+        }
+        if (stream.videoHash) {
+            params.moviehash = stream.videoHash;
+        }
+
+        const session = await getSession();
+        const searchUrl = `${session.baseUrl}/subtitles?${buildQuery(params)}`;
+        console.log(`Searching ${languageId} subtitles at: ${searchUrl}`);
+        const response = await rateLimit(searchUrl, () => axios.get(searchUrl, { headers: headers(session), timeout: timeoutMs }));
+        return response.data && Array.isArray(response.data.data) ? response.data.data : [];
+    }
+
+    function normalize(result, { languageId, languageName }) {
+        const attributes = result.attributes || {};
+        // Multi-CD subtitles cannot be merged with a single file, only the first CD is used
+        const file = Array.isArray(attributes.files) ? attributes.files[0] : null;
+        if (!file || !file.file_id) {
+            return null;
+        }
+        const feature = attributes.feature_details || {};
+        return {
+            id: `osc-${file.file_id}`,
+            // Only identifies the subtitle, download() asks the API for the file's temporary link
+            url: attributes.url || `${OPENSUBTITLES_COM_API_URL}/download?file_id=${file.file_id}`,
+            fileId: file.file_id,
+            lang: languageId,
+            format: 'srt', // The API converts to SRT on download
+            langName: languageName || attributes.language,
+            releaseName: attributes.release || feature.movie_name || feature.title || 'Unknown',
+            fileName: file.file_name || null,
+            rating: parseFloat(attributes.ratings) || 0,
+            downloads: parseInt(attributes.download_count, 10) || 0,
+            fps: parseFloat(attributes.fps) || null,
+            hashMatch: !!attributes.moviehash_match,
+            hearingImpaired: !!attributes.hearing_impaired
+        };
+    }
+
+    async function requestDownloadLink(fileId, session) {
+        const downloadUrl = `${session.baseUrl}/download`;
+        const response = await rateLimit(downloadUrl, () => axios.post(downloadUrl, { file_id: fileId, sub_format: 'srt' }, {
+            headers: headers(session),
+            timeout: timeoutMs
+        }));
+        return response.data || {};
+    }
+
+    async function download(candidate) {
+        let session = await getSession();
+        let link;
+        try {
+            let data;
+            try {
+                data = await requestDownloadLink(candidate.fileId, session);
+            } catch (error) {
+                // An expired token is answered with 401, log in again once
+                if (!error.response || error.response.status !== 401 || !session.token) throw error;
+                session = await getSession(true);
+                data = await requestDownloadLink(candidate.fileId, session);
+            }
+            link = data.link;
+            console.log(`OpenSubtitles.com download link for ${candidate.id} (${data.remaining} downloads remaining today).`);
+        } catch (error) {
+            if (error.response && error.response.status === 406) {
+                console.error(`OpenSubtitles.com download quota exhausted: ${error.response.data && error.response.data.message}`);
+            } else {
+                console.error(`Failed to get the OpenSubtitles.com download link for ${candidate.id}:`, error.message);
+            }
+            // The API being down counts against its health, an exhausted quota or unknown file does not
+            if (isProviderFailure(error)) throw error;
+            return null;
+        }
+        if (!link) {
+            console.error(`OpenSubtitles.com returned no download link for ${candidate.id}.`);
+            return null;
+        }
+        // The temporary link is a plain file download, it needs neither the API key nor a cookie
+        return fetchContent(link, candidate.format, null, { fps: candidate.fps, languageId: candidate.lang, accountKey });
+    }
+
+    return {
+        name: 'opensubtitles.com',
+        supports: languageId => !!OPENSUBTITLES_COM_LANGUAGE_CODES[languageId],
+        search,
+        normalize,
+        download
+    };
+}
+
+module.exports = {
+    OPENSUBTITLES_COM_API_URL,
+    OPENSUBTITLES_COM_LANGUAGE_CODES,
+    parseOpenSubtitlesLogin,
+    buildAccountKey,
+    createOpenSubtitlesComProvider
+};
@@ -0,0 +1,11 @@
+// Select settings of the addon configuration, shared by the cleanup, layout and style parsing
+
+// Maps a label shown in the configuration to its internal value. renamedLabels maps labels of
+// earlier versions, still found in saved configurations, to the current ones. Labels the options
+// no longer have (or that were never set) get the default's value.
+function pickOption(options, label, defaultLabel, renamedLabels = {}) {
+    const currentLabel = Object.prototype.hasOwnProperty.call(renamedLabels, label) ? renamedLabels[label] : label;
+    return Object.prototype.hasOwnProperty.call(options, currentLabel) ? options[currentLabel] : options[defaultLabel];
+}
+
+module.exports = { pickOption };
@@ -0,0 +1,251 @@
+// Subtitle providers: the sources candidate subtitles are searched and downloaded from.
+// Every provider exposes the same shape:
+//   name                          - unique label, used in logs and on candidates
+//   supports(languageId)          -> whether the provider can be searched for a language
+//   search(query)                 -> raw results for { languageId, languageName, type, baseSearchParams, stream }
+//   normalize(raw, query)         -> a candidate, or null to drop the result
+//   download(candidate, context)  -> the subtitle as SRT text, or null (context.cookie is the OpenSubtitles cookie)
+// A candidate is { id, url, lang, format, langName, releaseName, fileName, rating, downloads, fps, hashMatch, hearingImpaired },
+// and the registry adds the name of the provider it came from.
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { publicOnlyRequestOptions } = require('./network');
+
+// Subtitle formats fetchSubtitleContent can convert to SRT
+const SUPPORTED_SUBTITLE_FORMATS = ['dfxp', 'scc', 'srt', 'ttml', 'vtt', 'ssa', 'ass', 'sub', 'sbv', 'smi', 'lrc', 'json'];
+
+// Stremio addons label their subtitles with ISO 639-2 codes, sometimes in the terminology form
+// (deu rather than ger) or as ISO 639-1 codes. These are the other spellings of our language IDs.
+const LANGUAGE_CODE_ALIASES = {
+    'alb': ['sqi', 'sq'], 'ara': ['ar'], 'arm': ['hye', 'hy'], 'baq': ['eus', 'eu'], 'bul': ['bg'],
+    'bur': ['mya', 'my'], 'cat': ['ca'], 'chi': ['zho', 'zh', 'zh-cn'], 'cze': ['ces', 'cs'], 'dan': ['da'],
+    'dut': ['nld', 'nl'], 'ell': ['gre', 'el'], 'eng': ['en'], 'est': ['et'], 'fin': ['fi'],
+    'fre': ['fra', 'fr'], 'geo': ['kat', 'ka'], 'ger': ['deu', 'de'], 'heb': ['he'], 'hin': ['hi'],
+    'hrv': ['hr'], 'hun': ['hu'], 'ice': ['isl', 'is'], 'ind': ['id'], 'ita': ['it'], 'jpn': ['ja'],
+    'kor': ['ko'], 'lav': ['lv'], 'lit': ['lt'], 'mac': ['mkd', 'mk'], 'may': ['msa', 'ms'],
+    'nor': ['nob', 'no', 'nb'], 'per': ['fas', 'fa'], 'pob': ['pt-br'], 'pol': ['pl'], 'por': ['pt'],
+    'rum': ['ron', 'ro'], 'rus': ['ru'], 'scc': ['srp', 'sr'], 'slo': ['slk', 'sk'], 'slv': ['sl'],
+    'spa': ['es'], 'swe': ['sv'], 'tha': ['th'], 'tur': ['tr'], 'ukr': ['uk'], 'vie': ['vi'],
+    'wel': ['cym', 'cy'], 'zht': ['zh-tw']
+};
+
+// Whether a language label from an addon response (a code or an English name) names the requested language
+function languageMatches(label, languageId, languageName = null) {
+    const normalized = String(label).trim().toLowerCase().replace('_', '-');
+    return normalized === languageId
+        || (LANGUAGE_CODE_ALIASES[languageId] || []).includes(normalized)
+        || (!!languageName && normalized === languageName.toLowerCase());
+}
+
+// Subtitle format from the extension of a URL, defaulting to SRT like most addons serve
+function formatFromUrl(url) {
+    const path = String(url).split(/[?#]/)[0].replace(/\.gz$/i, '');
+    const lastDotIndex = path.lastIndexOf('.');
+    const extension = lastDotIndex > path.lastIndexOf('/') ? path.substring(lastDotIndex + 1).toLowerCase() : '';
+    return SUPPORTED_SUBTITLE_FORMATS.includes(extension) ? extension : 'srt';
+}
+
+// Stremio resource path of the title, with the file details as extra arguments when known:
+// /subtitles/series/tt0903747:1:1/filename=...&videoHash=....json
+function buildStremioSubtitlesPath(type, baseSearchParams, stream = {}) {
+    let id = `tt${baseSearchParams.imdbid}`;
+    if (baseSearchParams.season) {
+        id += `:${baseSearchParams.season}:${baseSearchParams.episode}`;
+    }
+    const extra = ['filename', 'videoHash', 'videoSize']
+        .filter(key => stream[key])
+        .map(key => `${key}=${encodeURIComponent(stream[key])}`)
+        .join('&');
+    return `/subtitles/${type}/${id}${extra ? `/${extra}` : ''}.json`;
+}
+
+// Any addon implementing the Stremio subtitles resource, e.g. Buta no subs for Japanese.
+// languages limits the provider to some languages (null for every language); results labelled
+// with another language are dropped, unlabelled ones are kept. fetchContent is the function that
+// downloads and converts a subtitle file (fetchSubtitleContent), rateLimit(url, request) the
+// rate limiter searches go through. publicOnly is set for addons from a user's configuration:
+// neither the addon nor the subtitle URLs it returns may lead to non-public addresses.
+function createStremioAddonProvider({ name, baseUrl, languages = null, fetchContent, rateLimit = (url, request) => request(), timeoutMs = 10000, publicOnly = false }) {
+    const base = baseUrl.replace(/\/manifest\.json$/i, '').replace(/\/+$/, '');
+    const providerName = name || new URL(base).host;
+
+    async function search({ languageId, languageName, type, baseSearchParams, stream }) {
+        const searchUrl = `${base}${buildStremioSubtitlesPath(type, baseSearchParams, stream)}`;
+        console.log(`Searching ${languageId} subtitles at: ${searchUrl}`);
+        const response = await rateLimit(searchUrl, () => axios.get(searchUrl, {
+            headers: { 'User-Agent': 'TemporaryUserAgent' },
+            timeout: timeoutMs,
+            ...(publicOnly ? publicOnlyRequestOptions(searchUrl) : {})
+        }));
+        if (!response.data || !Array.isArray(response.data.subtitles)) {
+            return [];
+        }
+        const subtitles = response.data.subtitles.filter(sub => sub && sub.url && (!sub.lang || languageMatches(sub.lang, languageId, languageName)));
+        // Addons list their subtitles best first, so the position becomes a fake download count
+        return subtitles.map((sub, index) => ({ ...sub, rank: subtitles.length - index }));
+    }
+
+    function normalize(sub, { languageId, languageName }) {
+        return {
+            id: sub.id !== undefined && sub.id !== null
+                ? String(sub.id)
+                : crypto.createHash('sha1').update(sub.url).digest('hex').substring(0, 12),
+            url: sub.url,
+            lang: languageId,
+            format: formatFromUrl(sub.url),
+            langName: languageName || sub.lang || languageId,
+            releaseName: sub.releaseName || sub.title || 'Unknown',
+            fileName: sub.fileName || null,
+            rating: 0,
+            downloads: sub.rank,
+            fps: null,
+            hashMatch: false,
+            hearingImpaired: false
+        };
+    }
+
+    return {
+        name: providerName,
+        supports: languageId => !languages || languages.includes(languageId),
+        search,
+        normalize,
+        // Other hosts never get the OpenSubtitles cookie
+        download: (candidate) => fetchContent(candidate.url, candidate.format, null, { fps: candidate.fps, languageId: candidate.lang, publicOnly })
+    };
+}
+
+// Parses a list of extra subtitle addons such as
+//   "jpn=https://buta-no-subs-stremio-addon.onrender.com; https://example.com/manifest.json"
+// Entries are separated by ";", "," or whitespace. "lang=url" (or "jpn+kor=url") limits an addon to
+// those languages, a bare URL is searched for every language. Invalid entries are skipped.
+function parseSubtitleSources(text) {
+    if (!text) return [];
+    const sources = [];
+    for (const entry of String(text).split(/[;,\s]+/).filter(Boolean)) {
+        const match = entry.match(/^(?:([a-z]{3}(?:\+[a-z]{3})*)=)?(https?:\/\/\S+)$/i);
+        if (!match) {
+            console.warn(`Ignoring invalid subtitle source: ${entry}`);
+            continue;
+        }
+        try {
+            new URL(match[2]);
+        } catch (error) {
+            console.warn(`Ignoring invalid subtitle source URL: ${match[2]}`);
+            continue;
+        }
+        sources.push({
+            baseUrl: match[2],
+            languages: match[1] ? match[1].toLowerCase().split('+') : null
+        });
+    }
+    return sources;
+}
+
+// Searches the fallback only when the primary provider fails, finds nothing or does not support
+// the language, e.g. the OpenSubtitles.com API backed by the rest.opensubtitles.org scraper.
+// Candidates remember which of the two they came from, so downloads go to the right one.
+function createFallbackProvider(primary, fallback) {
+    const backends = { [primary.name]: primary, [fallback.name]: fallback };
+
+    async function search(query) {
+        if (primary.supports(query.languageId)) {
+            try {
+                const results = await primary.search(query);
+                if (results && results.length > 0) {
+                    return results.map(raw => ({ backend: primary.name, raw }));
+                }
+                console.log(`No ${query.languageId} subtitles on ${primary.name}. Falling back to ${fallback.name}.`);
+            } catch (error) {
+                console.error(`Error searching ${query.languageId} subtitles on ${primary.name}: ${error.message}. Falling back to ${fallback.name}.`);
+            }
+        }
+        const results = await fallback.search(query);
+        return (results || []).map(raw => ({ backend: fallback.name, raw }));
+    }
+
+    function normalize({ backend, raw }, query) {
+        const candidate = backends[backend].normalize(raw, query);
+        return candidate ? { ...candidate, backend } : null;
+    }
+
+    return {
+        name: primary.name,
+        supports: languageId => primary.supports(languageId) || fallback.supports(languageId),
+        search,
+        normalize,
+        download: (candidate, context) => backends[candidate.backend].download(candidate, context)
+    };
+}
+
+// Holds the providers searched for a request and dispatches downloads to the provider
+// each candidate came from. Registering a name again replaces the earlier provider.
+function createProviderRegistry(providers = []) {
+    const byName = new Map();
+
+    function register(provider) {
+        byName.set(provider.name, provider);
+    }
+    providers.forEach(register);
+
+    // Searches every provider supporting the language at the same time and returns the normalized
+    // candidates in provider order. A failing provider is logged and skipped; when all of them
+    // fail, the first error is thrown.
+    async function search(query) {
+        const applicable = [...byName.values()].filter(provider => provider.supports(query.languageId));
+        const results = await Promise.allSettled(applicable.map(provider => provider.search(query)));
+
+        const candidates = [];
+        results.forEach((result, index) => {
+            const provider = applicable[index];
+            if (result.status === 'rejected') {
+                console.error(`Error searching ${query.languageId} subtitles on ${provider.name}:`, result.reason.message);
+                return;
+            }
+            for (const raw of result.value || []) {
+                const candidate = provider.normalize(raw, query);
+                if (candidate) {
+                    candidates.push({ ...candidate, provider: provider.name });
+                }
+            }
+        });
+
+        if (results.length > 0 && results.every(result => result.status === 'rejected')) {
+            throw results[0].reason;
+        }
+        return candidates;
+    }
+
+    // Returns null when the download fails, including when the provider is skipped (see lib/health.js)
+    async function download(candidate, context = {}) {
+        const provider = byName.get(candidate.provider);
+        if (!provider) {
+            console.error(`No provider named ${candidate.provider} for subtitle ${candidate.id}.`);
+            return null;
+        }
+        try {
+            return await provider.download(candidate, context);
+        } catch (error) {
+            console.error(`Error downloading subtitle ${candidate.id} from ${provider.name}:`, error.message);
+            return null;
+        }
+    }
+
+    return {
+        register,
+        get: name => byName.get(name),
+        list: () => [...byName.values()],
+        search,
+        download
+    };
+}
+
+module.exports = {
+    SUPPORTED_SUBTITLE_FORMATS,
+    languageMatches,
+    buildStremioSubtitlesPath,
+    createStremioAddonProvider,
+    parseSubtitleSources,
+    createFallbackProvider,
+    createProviderRegistry
+};
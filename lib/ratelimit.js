@@ -0,0 +1,249 @@
+// Per-host rate limiting of the requests sent to subtitle providers.
+// Every upstream host gets its own token bucket: a burst of requests goes out at once, then the
+// bucket refills at the host's rate. Requests without a token wait in line, but never longer than
+// maxQueueWaitMs; when the wait would be longer, they fail right away with a RATE_LIMITED error.
+// 429 and 5xx responses are retried with jittered exponential backoff. A 429 (or any response
+// with Retry-After) pauses the whole host until the server allows requests again.
+// The bucket state can be shared by several instances (e.g. serverless functions) through the
+// storage backend. Sharing is best effort: instances sync at most every few seconds.
+
+const { sanitizeKey } = require('./storage');
+
+// rest.opensubtitles.org allows 40 requests per minute, the OpenSubtitles.com API 5 per second.
+// The cookie page is only needed once in a while.
+const DEFAULT_HOST_LIMITS = {
+    'rest.opensubtitles.org': { requestsPerMinute: 40, burst: 10 },
+    'dl.opensubtitles.org': { requestsPerMinute: 40, burst: 10 },
+    'www.opensubtitles.org': { requestsPerMinute: 20, burst: 2 },
+    'opensubtitles.com': { requestsPerMinute: 240, burst: 5 },
+    '*': { requestsPerMinute: 60, burst: 10 }
+};
+
+const DEFAULT_MAX_QUEUE_WAIT_MS = 10000;
+const DEFAULT_MAX_RETRIES = 2;
+// First retry delay, doubled on every attempt
+const RETRY_BASE_DELAY_MS = 500;
+// Shared bucket state is read again after this long
+const SHARED_SYNC_INTERVAL_MS = 5000;
+// CDN cache age of the shared state, the shortest Vercel Blob accepts (as for the cache index),
+// so other instances do not keep reading an outdated bucket
+const SHARED_STATE_CACHE_MAX_AGE = 60;
+
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+function hostOf(url) {
+    try {
+        return new URL(url).host.toLowerCase();
+    } catch (error) {
+        return '*';
+    }
+}
+
+// Limits of the host itself or of the closest parent domain listed, e.g. vip-api.opensubtitles.com
+// uses the opensubtitles.com limits
+function limitsForHost(hostLimits, host) {
+    const hostname = host.split(':')[0];
+    const parts = hostname.split('.');
+    for (let i = 0; i < parts.length - 1; i++) {
+        const candidate = parts.slice(i).join('.');
+        if (hostLimits[candidate]) return hostLimits[candidate];
+    }
+    return hostLimits['*'];
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(headers) {
+    const value = headers && (headers['retry-after'] || headers['Retry-After']);
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+// Full jitter: anywhere between half and all of the exponential delay
+function backoffDelay(attempt) {
+    const delay = RETRY_BASE_DELAY_MS * 2 ** attempt;
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+function rateLimitedError(host, waitMs) {
+    const error = new Error(`Rate limit of ${host} reached, the next request slot is ${Math.ceil(waitMs / 1000)}s away.`);
+    error.code = 'RATE_LIMITED';
+    error.retryAfterMs = waitMs;
+    return error;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// hostLimits maps host names (or parent domains) to { requestsPerMinute, burst }, '*' is used for
+// every other host. Call shareState(storage) to share the buckets through a storage backend.
+function createRateLimiter({
+    hostLimits = DEFAULT_HOST_LIMITS,
+    maxQueueWaitMs = DEFAULT_MAX_QUEUE_WAIT_MS,
+    maxRetries = DEFAULT_MAX_RETRIES
+} = {}) {
+    const limits = { ...DEFAULT_HOST_LIMITS, ...hostLimits };
+    const buckets = new Map();
+    let sharedStorage = null;
+
+    function getBucket(host) {
+        let bucket = buckets.get(host);
+        if (!bucket) {
+            const { requestsPerMinute, burst } = limitsForHost(limits, host);
+            bucket = {
+                host,
+                capacity: burst,
+                refillPerMs: requestsPerMinute / 60000,
+                tokens: burst,
+                updatedAt: Date.now(),
+                blockedUntil: 0,
+                queue: [],
+                timer: null,
+                syncedAt: 0,
+                persistedAt: 0
+            };
+            buckets.set(host, bucket);
+        }
+        return bucket;
+    }
+
+    function refill(bucket, now = Date.now()) {
+        bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.updatedAt) * bucket.refillPerMs);
+        bucket.updatedAt = now;
+    }
+
+    // Time until a request queued behind `position` others gets its token
+    function waitFor(bucket, position, now = Date.now()) {
+        const tokenWait = Math.max(0, (position + 1 - bucket.tokens) / bucket.refillPerMs);
+        return Math.max(bucket.blockedUntil - now, tokenWait);
+    }
+
+    // Hands out tokens to the waiting requests and schedules the next round
+    function drain(bucket) {
+        clearTimeout(bucket.timer);
+        bucket.timer = null;
+        const now = Date.now();
+        refill(bucket, now);
+        while (bucket.queue.length > 0 && bucket.tokens >= 1 && now >= bucket.blockedUntil) {
+            const waiter = bucket.queue.shift();
+            clearTimeout(waiter.timeout);
+            bucket.tokens -= 1;
+            waiter.resolve();
+        }
+        if (bucket.queue.length > 0) {
+            bucket.timer = setTimeout(() => drain(bucket), Math.max(1, waitFor(bucket, 0, now)));
+            bucket.timer.unref();
+        }
+    }
+
+    async function acquire(bucket) {
+        await syncShared(bucket);
+        const now = Date.now();
+        refill(bucket, now);
+        if (bucket.queue.length === 0 && bucket.tokens >= 1 && now >= bucket.blockedUntil) {
+            bucket.tokens -= 1;
+            persistShared(bucket);
+            return;
+        }
+
+        const waitMs = waitFor(bucket, bucket.queue.length, now);
+        if (waitMs > maxQueueWaitMs) {
+            throw rateLimitedError(bucket.host, waitMs);
+        }
+        await new Promise((resolve, reject) => {
+            const waiter = { resolve, reject, timeout: null };
+            // A Retry-After received while waiting can push the slot past the limit
+            waiter.timeout = setTimeout(() => {
+                bucket.queue.splice(bucket.queue.indexOf(waiter), 1);
+                reject(rateLimitedError(bucket.host, waitFor(bucket, bucket.queue.length)));
+            }, maxQueueWaitMs);
+            waiter.timeout.unref();
+            bucket.queue.push(waiter);
+            drain(bucket);
+        });
+        persistShared(bucket);
+    }
+
+    // Pauses the host, e.g. after a 429; waiting requests are rescheduled
+    function block(bucket, ms) {
+        bucket.blockedUntil = Math.max(bucket.blockedUntil, Date.now() + ms);
+        persistShared(bucket, true);
+        if (bucket.queue.length > 0) {
+            drain(bucket);
+        }
+    }
+
+    // Runs request() once the host of `url` has a free slot, retrying 429 and 5xx responses.
+    // Other errors, and the last failed attempt, are passed on to the caller.
+    async function schedule(url, request) {
+        const bucket = getBucket(hostOf(url));
+        for (let attempt = 0; ; attempt++) {
+            await acquire(bucket);
+            try {
+                return await request();
+            } catch (error) {
+                const status = error.response && error.response.status;
+                if (!RETRYABLE_STATUSES.includes(status)) throw error;
+
+                const retryAfterMs = parseRetryAfter(error.response.headers);
+                const delayMs = Math.max(retryAfterMs || 0, backoffDelay(attempt));
+                if (status === 429 || retryAfterMs !== null) {
+                    block(bucket, retryAfterMs ?? delayMs);
+                }
+                if (attempt >= maxRetries || delayMs > maxQueueWaitMs) throw error;
+
+                console.warn(`${bucket.host} answered ${status}. Retrying in ${delayMs}ms (attempt ${attempt + 2} of ${maxRetries + 1}).`);
+                await sleep(delayMs);
+            }
+        }
+    }
+
+    function sharedKey(bucket) {
+        return `ratelimit_${sanitizeKey(bucket.host)}.json`;
+    }
+
+    // Merges the state other instances stored: the fewer tokens and the later block win
+    async function syncShared(bucket) {
+        if (!sharedStorage || Date.now() - bucket.syncedAt < SHARED_SYNC_INTERVAL_MS) return;
+        bucket.syncedAt = Date.now();
+        try {
+            const raw = await sharedStorage.get(sharedKey(bucket));
+            if (!raw) return;
+            const shared = typeof raw === 'string' ? JSON.parse(raw) : raw;
+            const now = Date.now();
+            refill(bucket, now);
+            const sharedTokens = Math.min(bucket.capacity, shared.tokens + (now - shared.updatedAt) * bucket.refillPerMs);
+            bucket.tokens = Math.min(bucket.tokens, sharedTokens);
+            bucket.blockedUntil = Math.max(bucket.blockedUntil, shared.blockedUntil || 0);
+        } catch (error) {
+            console.warn(`Failed to read the shared rate limit state of ${bucket.host}: ${error.message}`);
+        }
+    }
+
+    // Stores the bucket for the other instances, at most once per sync interval unless forced
+    function persistShared(bucket, force = false) {
+        if (!sharedStorage || (!force && Date.now() - bucket.persistedAt < SHARED_SYNC_INTERVAL_MS)) return;
+        bucket.persistedAt = Date.now();
+        const state = { tokens: bucket.tokens, updatedAt: bucket.updatedAt, blockedUntil: bucket.blockedUntil };
+        sharedStorage.put(sharedKey(bucket), JSON.stringify(state), {
+            contentType: 'application/json; charset=utf-8',
+            cacheMaxAge: SHARED_STATE_CACHE_MAX_AGE
+        }).catch(error => console.warn(`Failed to store the shared rate limit state of ${bucket.host}: ${error.message}`));
+    }
+
+    return {
+        schedule,
+        shareState(storage) {
+            sharedStorage = storage;
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_HOST_LIMITS,
+    parseRetryAfter,
+    createRateLimiter
+};
@@ -0,0 +1,237 @@
+// Reading aids for main subtitles in Japanese, Chinese and Korean.
+// Everything runs offline: pinyin-pro and to-jyutping ship their dictionaries, kuromoji bundles
+// the IPADIC dictionary used for the Japanese readings, and Korean is romanized by rule.
+// An annotator turns a cue's text into segments [{ text, reading }] (reading is null for
+// punctuation, latin text...) plus the whole reading as a single line.
+
+const path = require('path');
+const { pinyin } = require('pinyin-pro');
+const ToJyutping = require('to-jyutping');
+const wanakana = require('wanakana');
+
+// Main languages a reading aid exists for, and the romanization each one uses
+const READING_SCHEMES = {
+    'jpn': 'japanese',
+    'chi': 'pinyin',
+    'zht': 'pinyin',
+    'zhc': 'jyutping',
+    'kor': 'korean'
+};
+
+// Full width punctuation is replaced in romanized lines, e.g. "masu。" becomes "masu."
+const FULLWIDTH_PUNCTUATION = {
+    '，': ',', '。': '.', '！': '!', '？': '?', '、': ',', '：': ':', '；': ';',
+    '（': '(', '）': ')', '「': '“', '」': '”', '『': '“', '』': '”'
+};
+
+// Punctuation that sticks to the previous or the next word in a romanized line
+const CLOSING_PUNCTUATION = /\s+([,.!?;:)\]}”…])/g;
+const OPENING_PUNCTUATION = /([(\[{“])\s+/g;
+
+// Joins consecutive segments without a reading, so latin words or numbers stay in one piece
+function groupSegments(segments) {
+    const grouped = [];
+    for (const segment of segments) {
+        const previous = grouped[grouped.length - 1];
+        if (previous && !previous.reading && !segment.reading) {
+            previous.text += segment.text;
+        } else {
+            grouped.push({ ...segment });
+        }
+    }
+    return grouped;
+}
+
+function toLine(segments, separator) {
+    const line = segments
+        .map(segment => (segment.reading || segment.text).trim())
+        .filter(Boolean)
+        .join(separator);
+    // Kana lines are Japanese text themselves and keep their punctuation
+    if (!separator) return line;
+    return line
+        .replace(/[，。！？、：；（）「」『』]/g, character => FULLWIDTH_PUNCTUATION[character])
+        .replace(CLOSING_PUNCTUATION, '$1')
+        .replace(OPENING_PUNCTUATION, '$1')
+        .replace(/([,.!?;:])(?=\p{L})/gu, '$1 ')
+        .replace(/\s{2,}/g, ' ')
+        .trim();
+}
+
+// --- Chinese ---
+
+function annotatePinyin(text) {
+    return pinyin(text, { type: 'all', toneType: 'symbol' })
+        .map(item => ({ text: item.origin, reading: item.isZh && item.pinyin ? item.pinyin : null }));
+}
+
+function annotateJyutping(text) {
+    return ToJyutping.getJyutpingList(text)
+        .map(([character, reading]) => ({ text: character, reading: reading || null }));
+}
+
+// --- Korean (Revised Romanization) ---
+
+const HANGUL_BASE = 0xAC00;
+const HANGUL_LAST = 0xD7A3;
+const INITIALS = ['g', 'kk', 'n', 'd', 'tt', 'r', 'm', 'b', 'pp', 's', 'ss', '', 'j', 'jj', 'ch', 'k', 't', 'p', 'h'];
+const MEDIALS = ['a', 'ae', 'ya', 'yae', 'eo', 'e', 'yeo', 'ye', 'o', 'wa', 'wae', 'oe', 'yo', 'u', 'wo', 'we', 'wi', 'yu', 'eu', 'ui', 'i'];
+// Final consonants before another consonant or at the end of a word
+const FINALS = ['', 'k', 'k', 'k', 'n', 'n', 'n', 't', 'l', 'k', 'm', 'l', 'l', 'l', 'p', 'l', 'm', 'p', 'p', 't', 't', 'ng', 't', 't', 'k', 't', 'p', 't'];
+// Final consonants carried over to a following syllable that starts with the silent ㅇ
+const LINKED_FINALS = ['', 'g', 'kk', 'ks', 'n', 'nj', 'n', 'd', 'r', 'lg', 'lm', 'lb', 'ls', 'lt', 'lp', 'r', 'm', 'b', 'ps', 's', 'ss', 'ng', 'j', 'ch', 'k', 't', 'p', ''];
+const SILENT_INITIAL = 11;
+const RIEUL_INITIAL = 5;
+const NASAL_INITIALS = [2, 6]; // ㄴ, ㅁ
+
+function decomposeHangul(character) {
+    const code = character.charCodeAt(0) - HANGUL_BASE;
+    return {
+        initial: Math.floor(code / 588),
+        medial: Math.floor((code % 588) / 28),
+        final: code % 28
+    };
+}
+
+// Romanizes one word, applying liaison and the most common sound changes between syllables
+function romanizeKorean(word) {
+    const characters = [...word];
+    let result = '';
+    characters.forEach((character, index) => {
+        const code = character.charCodeAt(0);
+        if (code < HANGUL_BASE || code > HANGUL_LAST) {
+            result += character;
+            return;
+        }
+        const syllable = decomposeHangul(character);
+        const previousCode = index > 0 ? characters[index - 1].charCodeAt(0) : 0;
+        const previous = previousCode >= HANGUL_BASE && previousCode <= HANGUL_LAST ? decomposeHangul(characters[index - 1]) : null;
+        const nextCode = index < characters.length - 1 ? characters[index + 1].charCodeAt(0) : 0;
+        const next = nextCode >= HANGUL_BASE && nextCode <= HANGUL_LAST ? decomposeHangul(characters[index + 1]) : null;
+
+        // The initial was already written as the previous syllable's linked final
+        let initial = INITIALS[syllable.initial];
+        if (syllable.initial === SILENT_INITIAL && previous && previous.final !== 0 && previous.final !== 21) {
+            initial = '';
+        } else if (syllable.initial === RIEUL_INITIAL && previous && (previous.final === 8 || previous.final === 4)) {
+            initial = 'l'; // ㄹㄹ and ㄴㄹ are both pronounced ll
+        }
+
+        let final = FINALS[syllable.final];
+        if (syllable.final !== 0 && next) {
+            if (next.initial === SILENT_INITIAL) {
+                final = LINKED_FINALS[syllable.final];
+            } else if (next.initial === RIEUL_INITIAL && syllable.final === 4) {
+                final = 'l';
+            } else if (NASAL_INITIALS.includes(next.initial)) {
+                // Nasalization: k, t, p become ng, n, m before ㄴ or ㅁ
+                final = { k: 'ng', t: 'n', p: 'm' }[final] || final;
+            }
+        }
+
+        result += initial + MEDIALS[syllable.medial] + final;
+    });
+    return result;
+}
+
+// Words are romanized as a whole since sound changes cross syllable boundaries
+function annotateKorean(text) {
+    return text
+        .split(/([가-힣]+)/)
+        .filter(Boolean)
+        .map(word => ({ text: word, reading: /^[가-힣]+$/.test(word) ? romanizeKorean(word) : null }));
+}
+
+// --- Japanese ---
+
+// Loading the kuromoji dictionary takes a second and a few hundred MB, so it happens once, on first use
+let japaneseTokenizerPromise = null;
+
+function loadJapaneseTokenizer() {
+    if (!japaneseTokenizerPromise) {
+        const kuromoji = require('kuromoji');
+        const dicPath = path.join(path.dirname(require.resolve('kuromoji')), '..', 'dict');
+        japaneseTokenizerPromise = new Promise((resolve, reject) => {
+            kuromoji.builder({ dicPath }).build((error, tokenizer) => {
+                if (error) {
+                    japaneseTokenizerPromise = null;
+                    reject(error);
+                    return;
+                }
+                console.log("Loaded the Japanese reading dictionary.");
+                resolve(tokenizer);
+            });
+        });
+    }
+    return japaneseTokenizerPromise;
+}
+
+// kana: hiragana readings over words written with kanji (furigana)
+// romaji: romanized reading of every Japanese word, particles as pronounced (は -> wa)
+function annotateJapanese(tokenizer, text, script) {
+    return tokenizer.tokenize(text).map(token => {
+        const surface = token.surface_form;
+        const reading = token.reading && token.reading !== '*' ? token.reading : null;
+        if (!reading || !wanakana.isJapanese(surface) || token.pos === '記号') {
+            return { text: surface, reading: null };
+        }
+        if (script === 'kana') {
+            return { text: surface, reading: [...surface].some(wanakana.isKanji) ? wanakana.toHiragana(reading) : null };
+        }
+        const spoken = token.pos === '助詞' && token.pronunciation ? token.pronunciation : reading;
+        return { text: surface, reading: wanakana.toRomaji(spoken) };
+    });
+}
+
+// Returns an annotator for the main language, or null when no reading aid exists for it.
+// japaneseScript is 'romaji' or 'kana'.
+async function createReadingAnnotator(lang, { japaneseScript = 'romaji' } = {}) {
+    const scheme = READING_SCHEMES[lang];
+    if (!scheme) return null;
+
+    let annotateSegments;
+    let separator = ' ';
+    switch (scheme) {
+        case 'pinyin':
+            annotateSegments = annotatePinyin;
+            break;
+        case 'jyutping':
+            annotateSegments = annotateJyutping;
+            break;
+        case 'korean':
+            annotateSegments = annotateKorean;
+            break;
+        case 'japanese': {
+            const tokenizer = await loadJapaneseTokenizer();
+            annotateSegments = text => annotateJapanese(tokenizer, text, japaneseScript);
+            if (japaneseScript === 'kana') separator = '';
+            break;
+        }
+        default:
+            return null;
+    }
+
+    return {
+        scheme: scheme === 'japanese' ? japaneseScript : scheme,
+        // Returns { segments, line } for one flattened cue text
+        annotate(text) {
+            if (!text) return { segments: [], line: '' };
+            const segments = groupSegments(annotateSegments(text));
+            return { segments, line: toLine(segments, separator) };
+        }
+    };
+}
+
+// Text with the reading in brackets after every annotated segment, e.g. 東京(とうきょう)へ
+function formatInlineReading(segments) {
+    return segments
+        .map(segment => segment.reading ? `${segment.text}(${segment.reading})` : segment.text)
+        .join('');
+}
+
+module.exports = {
+    READING_SCHEMES,
+    romanizeKorean,
+    createReadingAnnotator,
+    formatInlineReading
+};
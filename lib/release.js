@@ -0,0 +1,84 @@
+// Release name matching between the stream Stremio is playing and the subtitle candidates.
+// Subtitles made for the same release (same source, group, cut) share its timing, so they
+// are preferred over more popular subtitles made for a different release.
+
+// Aliases are normalized so "BRRip" and "BluRay" or "WEB-DL" and "WEBRip" count as the same source
+const SOURCE_ALIASES = {
+    bluray: 'bluray', bdrip: 'bluray', brrip: 'bluray', bdremux: 'bluray', bd: 'bluray', remux: 'bluray',
+    webdl: 'web', webrip: 'web', web: 'web', amzn: 'web', nf: 'web', dsnp: 'web', hmax: 'web', atvp: 'web',
+    hdtv: 'hdtv', pdtv: 'hdtv', dsr: 'hdtv', tvrip: 'hdtv',
+    dvdrip: 'dvd', dvd: 'dvd', dvdr: 'dvd', dvdscr: 'dvd',
+    hdrip: 'hdrip', cam: 'cam', hdcam: 'cam', ts: 'cam', telesync: 'cam'
+};
+
+const RESOLUTIONS = ['2160p', '1080p', '1080i', '720p', '576p', '480p'];
+
+const EDITIONS = ['extended', 'unrated', 'uncut', 'directors', 'theatrical', 'remastered', 'imax', 'criterion', 'special'];
+
+// Weight of each kind of token in the release score
+const WEIGHTS = {
+    group: 4,
+    source: 3,
+    edition: 2,
+    resolution: 1
+};
+
+// Splits a release or file name into normalized tokens and the fields we match on
+function parseReleaseName(name) {
+    const release = { group: null, source: null, resolution: null, editions: [], tokens: [] };
+    if (!name || typeof name !== 'string') return release;
+
+    // Strip the file extension and join compound tokens such as WEB-DL and Blu-Ray
+    const base = name
+        .replace(/\.(mkv|mp4|avi|m4v|mov|wmv|ts|webm|srt|sub)$/i, '')
+        .replace(/web[ ._-]dl/ig, 'webdl')
+        .replace(/blu[ ._-]ray/ig, 'bluray')
+        .replace(/director'?s[ ._-]cut/ig, 'directors');
+
+    // The release group is whatever follows the last dash, e.g. "...x264-SPARKS"
+    const groupMatch = base.match(/-([A-Za-z0-9]+)(?:\[[^\]]*\])?$/);
+    if (groupMatch) {
+        release.group = groupMatch[1].toLowerCase();
+    }
+
+    release.tokens = base.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+    for (const token of release.tokens) {
+        if (!release.source && SOURCE_ALIASES[token]) {
+            release.source = SOURCE_ALIASES[token];
+        }
+        if (!release.resolution && RESOLUTIONS.includes(token)) {
+            release.resolution = token;
+        }
+        if (EDITIONS.includes(token) && !release.editions.includes(token)) {
+            release.editions.push(token);
+        }
+    }
+    return release;
+}
+
+// Scores how well a subtitle's release name matches the stream's release, 0 when unrelated
+function scoreReleaseMatch(streamRelease, candidateName) {
+    if (!streamRelease || streamRelease.tokens.length === 0) return 0;
+    const candidate = parseReleaseName(candidateName);
+    let score = 0;
+
+    if (streamRelease.group && candidate.group === streamRelease.group) {
+        score += WEIGHTS.group;
+    } else if (streamRelease.group && candidate.tokens.includes(streamRelease.group)) {
+        score += WEIGHTS.group / 2;
+    }
+    if (streamRelease.source && candidate.source === streamRelease.source) {
+        score += WEIGHTS.source;
+    }
+    if (streamRelease.resolution && candidate.resolution === streamRelease.resolution) {
+        score += WEIGHTS.resolution;
+    }
+    // Editions must agree both ways: an extended cut subtitle does not fit the theatrical cut
+    const sharedEditions = streamRelease.editions.filter(edition => candidate.editions.includes(edition));
+    const mismatchedEditions = candidate.editions.length + streamRelease.editions.length - 2 * sharedEditions.length;
+    score += sharedEditions.length * WEIGHTS.edition - mismatchedEditions * WEIGHTS.edition / 2;
+
+    return score;
+}
+
+module.exports = { parseReleaseName, scoreReleaseMatch };
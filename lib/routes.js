@@ -0,0 +1,56 @@
+// Extra HTTP routes served next to the SDK's addon router.
+// serveHTTP does not expose its express app, so the routes are attached to the
+// http.Server it returns: matching GET requests are answered here and everything
+// else is handed to the SDK's original request listeners.
+//
+// A route is { pattern: RegExp, handler: async ({ params, query, req }) => response }
+// where response is { status, contentType, body, headers } or null for a 404.
+
+function sendResponse(res, { status = 200, contentType = 'text/plain; charset=utf-8', body = '', headers = {} }) {
+    res.statusCode = status;
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Content-Type', contentType);
+    for (const [name, value] of Object.entries(headers)) {
+        res.setHeader(name, value);
+    }
+    res.end(body);
+}
+
+function attachRoutes(server, routes) {
+    const sdkListeners = server.listeners('request');
+    server.removeAllListeners('request');
+
+    server.on('request', (req, res) => {
+        const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+
+        if (req.method === 'GET' || req.method === 'HEAD') {
+            for (const route of routes) {
+                const match = pathname.match(route.pattern);
+                if (!match) continue;
+
+                const params = match.slice(1).map(param => param === undefined ? param : decodeURIComponent(param));
+                const query = Object.fromEntries(searchParams.entries());
+                Promise.resolve()
+                    .then(() => route.handler({ params, query, req }))
+                    .then(response => {
+                        if (!response) {
+                            sendResponse(res, { status: 404, body: 'Not found' });
+                            return;
+                        }
+                        sendResponse(res, response);
+                    })
+                    .catch(error => {
+                        console.error(`Error handling ${pathname}:`, error.message);
+                        sendResponse(res, { status: 500, body: 'Internal error' });
+                    });
+                return;
+            }
+        }
+
+        for (const listener of sdkListeners) {
+            listener.call(server, req, res);
+        }
+    });
+}
+
+module.exports = { attachRoutes };
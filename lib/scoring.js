@@ -0,0 +1,97 @@
+// Quality score of a main/translation pair, used to rank the merged variants.
+// Download counts say how popular a subtitle is, not whether it fits the main track, so each
+// pair is measured after alignment: how many main cues find a translation cue, how far their
+// timings are apart and how close the cue counts are. The candidates' rating, hearing impaired
+// flags and release match are added on top. Scores go from 0 to 100.
+
+const { toIntervals, lowerBound } = require('./time');
+
+// Points of each component in the final score
+const SCORE_WEIGHTS = {
+    matched: 40,
+    timing: 20,
+    cueCount: 10,
+    release: 15,
+    rating: 10,
+    hearingImpaired: 5
+};
+
+// Mean start/end error at which the timing component reaches zero
+const MAX_TIMING_ERROR_MS = 1000;
+// A main cue without an overlapping translation cue still matches one starting this close
+const MATCH_TOLERANCE_MS = 500;
+// Release scores (see lib/release.js) from here on get the full release component, e.g. same group and source
+const FULL_RELEASE_SCORE = 7;
+// Longest translation cue considered when looking for the cues around a main cue
+const MAX_CUE_DURATION_MS = 15000;
+
+// Measures how well an (already aligned) translation track fits the main track:
+//   matchedRatio       - share of main cues with a translation cue overlapping or starting close by
+//   meanTimingErrorMs  - mean of the start and end differences of those matches
+//   cueCountRatio      - smaller cue count divided by the larger one
+function measurePairAlignment(mainSubs, transSubs) {
+    const mainIntervals = toIntervals(mainSubs);
+    const transIntervals = toIntervals(transSubs);
+    if (mainIntervals.length === 0 || transIntervals.length === 0) {
+        return { matchedRatio: 0, meanTimingErrorMs: null, cueCountRatio: 0 };
+    }
+    const transStarts = transIntervals.map(interval => interval.start);
+
+    let matchedCount = 0;
+    let totalErrorMs = 0;
+    for (const main of mainIntervals) {
+        let best = null;
+        let bestOverlap = 0;
+        let bestDistance = Infinity;
+        for (let i = lowerBound(transStarts, main.start - MAX_CUE_DURATION_MS); i < transIntervals.length; i++) {
+            const trans = transIntervals[i];
+            if (trans.start > main.end + MATCH_TOLERANCE_MS) break;
+            const overlap = Math.min(main.end, trans.end) - Math.max(main.start, trans.start);
+            const distance = Math.abs(trans.start - main.start);
+            if (overlap > bestOverlap || (bestOverlap === 0 && overlap <= 0 && distance <= MATCH_TOLERANCE_MS && distance < bestDistance)) {
+                best = trans;
+                bestOverlap = Math.max(overlap, 0);
+                bestDistance = distance;
+            }
+        }
+        if (best) {
+            matchedCount++;
+            totalErrorMs += (Math.abs(best.start - main.start) + Math.abs(best.end - main.end)) / 2;
+        }
+    }
+
+    return {
+        matchedRatio: matchedCount / mainIntervals.length,
+        meanTimingErrorMs: matchedCount > 0 ? totalErrorMs / matchedCount : null,
+        cueCountRatio: Math.min(mainIntervals.length, transIntervals.length) / Math.max(mainIntervals.length, transIntervals.length)
+    };
+}
+
+// Combines the alignment metrics with what the providers tell about both candidates.
+// Unrated candidates get half of the rating points rather than none.
+function scoreCandidatePair(metrics, mainCandidate, transCandidate) {
+    const timing = metrics.meanTimingErrorMs === null
+        ? 0
+        : Math.max(0, 1 - metrics.meanTimingErrorMs / MAX_TIMING_ERROR_MS);
+    const release = transCandidate.hashMatch
+        ? 1
+        : Math.min(1, (transCandidate.releaseScore || 0) / FULL_RELEASE_SCORE);
+    const rating = transCandidate.rating > 0 ? Math.min(1, transCandidate.rating / 10) : 0.5;
+    // Hearing impaired cues ([door creaks], speaker names) have no counterpart in the other track
+    const hearingImpaired = ((mainCandidate && mainCandidate.hearingImpaired) ? 0 : 0.5)
+        + (transCandidate.hearingImpaired ? 0 : 0.5);
+
+    const score = SCORE_WEIGHTS.matched * metrics.matchedRatio
+        + SCORE_WEIGHTS.timing * timing
+        + SCORE_WEIGHTS.cueCount * metrics.cueCountRatio
+        + SCORE_WEIGHTS.release * release
+        + SCORE_WEIGHTS.rating * rating
+        + SCORE_WEIGHTS.hearingImpaired * hearingImpaired;
+    return Math.round(score);
+}
+
+module.exports = {
+    SCORE_WEIGHTS,
+    measurePairAlignment,
+    scoreCandidatePair
+};
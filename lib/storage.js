@@ -0,0 +1,317 @@
+// Storage backends for the merged subtitle files.
+// Every adapter exposes the same shape:
+//   name            - label used in logs
+//   servesLocally   - true when the file is served by the addon itself under /merged/<key>
+//   put(key, content, { contentType }) -> public URL of the stored file
+//   get(key)        -> stored content as a string, or null when missing
+//   del(key)        -> removes the stored file, missing keys are ignored
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const axios = require('axios');
+const { put, head, del } = require('@vercel/blob');
+const { createClient } = require('@supabase/supabase-js');
+
+// Route under which locally stored subtitles are served by the addon server
+const MERGED_ROUTE_PREFIX = '/merged/';
+
+// Keys end up in file names and URLs, so keep them to a safe character set
+function sanitizeKey(key) {
+    return String(key).replace(/[^A-Za-z0-9._-]/g, '_');
+}
+
+function contentTypeForKey(key) {
+    const extension = path.extname(key).toLowerCase();
+    switch (extension) {
+        case '.srt':
+            return 'text/srt; charset=utf-8';
+        case '.ass':
+        case '.ssa':
+            return 'text/x-ssa; charset=utf-8';
+        case '.vtt':
+            return 'text/vtt; charset=utf-8';
+        case '.json':
+            return 'application/json; charset=utf-8';
+        default:
+            return 'text/plain; charset=utf-8';
+    }
+}
+
+function buildLocalUrl(publicBaseUrl, key) {
+    return `${publicBaseUrl.replace(/\/+$/, '')}${MERGED_ROUTE_PREFIX}${encodeURIComponent(sanitizeKey(key))}`;
+}
+
+// --- Vercel Blob ---
+function createVercelBlobStorage() {
+    return {
+        name: 'vercel-blob',
+        servesLocally: false,
+        async put(key, content, options = {}) {
+            // Keys are deterministic (they include the candidate IDs), so overwrite instead of adding a random suffix
+            const { url } = await put(key, content, {
+                access: 'public',
+                addRandomSuffix: false,
+                allowOverwrite: true,
+                contentType: options.contentType || contentTypeForKey(key),
+                cacheControlMaxAge: options.cacheMaxAge
+            });
+            return url;
+        },
+        async get(key) {
+            try {
+                const { url } = await head(key);
+                const response = await axios.get(url, { responseType: 'text', timeout: 10000 });
+                return response.data;
+            } catch (error) {
+                return null;
+            }
+        },
+        async del(key) {
+            try {
+                const { url } = await head(key);
+                await del(url);
+            } catch (error) {
+                // Nothing stored under this key
+            }
+        }
+    };
+}
+
+// --- Supabase Storage ---
+function createSupabaseStorage({ url, serviceKey, bucket = 'subtitles' }) {
+    const supabase = createClient(url, serviceKey);
+    console.log("Supabase client initialized with Service Role Key.");
+
+    return {
+        name: 'supabase',
+        servesLocally: false,
+        async put(key, content, options = {}) {
+            const { error: supabaseError } = await supabase
+                .storage
+                .from(bucket)
+                .upload(key, content, {
+                    cacheControl: String(options.cacheMaxAge || 3600),
+                    upsert: true,
+                    contentType: options.contentType || contentTypeForKey(key)
+                });
+
+            if (supabaseError) throw supabaseError;
+
+            const { data: publicUrlData } = supabase
+                .storage
+                .from(bucket)
+                .getPublicUrl(key);
+
+            if (!publicUrlData || !publicUrlData.publicUrl) {
+                throw new Error('Supabase upload successful, but failed to get public URL.');
+            }
+            return publicUrlData.publicUrl;
+        },
+        async get(key) {
+            const { data, error } = await supabase.storage.from(bucket).download(key);
+            if (error || !data) return null;
+            return await data.text();
+        },
+        async del(key) {
+            const { error } = await supabase.storage.from(bucket).remove([key]);
+            if (error) throw error;
+        }
+    };
+}
+
+// --- Local filesystem, served by the addon under /merged/<key> ---
+function createFilesystemStorage({ directory, publicBaseUrl }) {
+    return {
+        name: 'filesystem',
+        servesLocally: true,
+        async put(key, content) {
+            const safeKey = sanitizeKey(key);
+            await fs.promises.mkdir(directory, { recursive: true });
+            await fs.promises.writeFile(path.join(directory, safeKey), content, 'utf8');
+            return buildLocalUrl(publicBaseUrl, safeKey);
+        },
+        async get(key) {
+            try {
+                return await fs.promises.readFile(path.join(directory, sanitizeKey(key)), 'utf8');
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.error(`Failed to read ${key} from ${directory}: ${error.message}`);
+                }
+                return null;
+            }
+        },
+        async del(key) {
+            try {
+                await fs.promises.unlink(path.join(directory, sanitizeKey(key)));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+    };
+}
+
+// --- In-memory LRU, served by the addon under /merged/<key> ---
+function createMemoryStorage({ maxItems = 500, publicBaseUrl }) {
+    // Map keeps insertion order, so the first key is always the least recently used one
+    const entries = new Map();
+
+    return {
+        name: 'memory',
+        servesLocally: true,
+        async put(key, content) {
+            const safeKey = sanitizeKey(key);
+            entries.delete(safeKey);
+            entries.set(safeKey, content);
+            while (entries.size > maxItems) {
+                const oldestKey = entries.keys().next().value;
+                entries.delete(oldestKey);
+            }
+            return buildLocalUrl(publicBaseUrl, safeKey);
+        },
+        async get(key) {
+            const safeKey = sanitizeKey(key);
+            if (!entries.has(safeKey)) return null;
+            const content = entries.get(safeKey);
+            // Refresh recency
+            entries.delete(safeKey);
+            entries.set(safeKey, content);
+            return content;
+        },
+        async del(key) {
+            entries.delete(sanitizeKey(key));
+        }
+    };
+}
+
+// Tries each adapter in order and returns the first successful result
+function createFallbackStorage(adapters) {
+    return {
+        name: adapters.map(adapter => adapter.name).join(' -> '),
+        servesLocally: adapters.some(adapter => adapter.servesLocally),
+        adapters,
+        async put(key, content, options = {}) {
+            let lastError = null;
+            for (const adapter of adapters) {
+                try {
+                    const url = await adapter.put(key, content, options);
+                    console.log(`Stored ${key} via ${adapter.name}: ${url}`);
+                    return url;
+                } catch (error) {
+                    console.error(`Failed to store ${key} via ${adapter.name}: ${error.message}`);
+                    lastError = error;
+                }
+            }
+            throw lastError || new Error('No storage backend configured.');
+        },
+        async get(key) {
+            for (const adapter of adapters) {
+                const content = await adapter.get(key);
+                if (content !== null && content !== undefined) return content;
+            }
+            return null;
+        },
+        async del(key) {
+            for (const adapter of adapters) {
+                try {
+                    await adapter.del(key);
+                } catch (error) {
+                    console.error(`Failed to delete ${key} via ${adapter.name}: ${error.message}`);
+                }
+            }
+        },
+        // Only asks the adapters whose files are served by the addon under /merged/<key>
+        async serve(key) {
+            for (const adapter of adapters) {
+                if (!adapter.servesLocally) continue;
+                const content = await adapter.get(key);
+                if (content !== null && content !== undefined) return content;
+            }
+            return null;
+        }
+    };
+}
+
+// Builds the storage chain from environment variables.
+// STORAGE_BACKEND is a comma separated list of: vercel, supabase, filesystem, memory.
+// Without it, Vercel Blob and Supabase are used when their credentials are present,
+// and the local filesystem otherwise so a bare `npm start` still produces working URLs.
+function createStorage(env = process.env) {
+    const port = env.PORT || 7000;
+    const publicBaseUrl = env.PUBLIC_URL || `http://127.0.0.1:${port}`;
+    const hasSupabase = !!(env.SUPABASE_URL && env.SUPABASE_SERVICE_KEY);
+
+    let backendNames;
+    if (env.STORAGE_BACKEND) {
+        backendNames = env.STORAGE_BACKEND.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+    } else {
+        backendNames = [];
+        if (env.SKIP_VERCEL_BLOB === 'true') {
+            console.log("SKIP_VERCEL_BLOB is true, Vercel Blob upload will be skipped.");
+        } else if (env.BLOB_READ_WRITE_TOKEN) {
+            backendNames.push('vercel');
+        }
+        if (hasSupabase) {
+            backendNames.push('supabase');
+        }
+        if (backendNames.length === 0) {
+            backendNames.push('filesystem');
+        }
+    }
+
+    const adapters = [];
+    for (const backendName of backendNames) {
+        switch (backendName) {
+            case 'vercel':
+                adapters.push(createVercelBlobStorage());
+                break;
+            case 'supabase':
+                if (!hasSupabase) {
+                    console.warn("Supabase URL or Service Role Key not found in environment variables. Supabase storage disabled.");
+                    break;
+                }
+                adapters.push(createSupabaseStorage({
+                    url: env.SUPABASE_URL,
+                    serviceKey: env.SUPABASE_SERVICE_KEY,
+                    bucket: env.SUPABASE_BUCKET || 'subtitles'
+                }));
+                break;
+            case 'filesystem':
+            case 'fs':
+                adapters.push(createFilesystemStorage({
+                    directory: env.STORAGE_DIR || path.join(os.tmpdir(), 'strelingo'),
+                    publicBaseUrl
+                }));
+                break;
+            case 'memory':
+                adapters.push(createMemoryStorage({
+                    maxItems: parseInt(env.STORAGE_MEMORY_MAX_ITEMS, 10) || 500,
+                    publicBaseUrl
+                }));
+                break;
+            default:
+                console.warn(`Unknown storage backend '${backendName}' in STORAGE_BACKEND. Ignoring it.`);
+        }
+    }
+
+    if (adapters.length === 0) {
+        console.warn("No usable storage backend configured. Falling back to in-memory storage.");
+        adapters.push(createMemoryStorage({ publicBaseUrl }));
+    }
+
+    const storage = createFallbackStorage(adapters);
+    console.log(`Storage backend: ${storage.name}`);
+    return storage;
+}
+
+module.exports = {
+    MERGED_ROUTE_PREFIX,
+    sanitizeKey,
+    contentTypeForKey,
+    createVercelBlobStorage,
+    createSupabaseStorage,
+    createFilesystemStorage,
+    createMemoryStorage,
+    createFallbackStorage,
+    createStorage
+};
@@ -0,0 +1,59 @@
+// SRT timestamp and cue timing helpers shared by the parsing, alignment, scoring and merging code
+
+// Helper to convert SRT time format (HH:MM:SS,ms) to milliseconds
+function parseTimeToMs(timeString) {
+    // Added validation for the time string format
+    if (!timeString || !/\d{2}:\d{2}:\d{2},\d{3}/.test(timeString)) {
+        console.error(`Invalid time format encountered: ${timeString}`);
+        return 0; // Return 0 or throw error, depending on desired strictness
+    }
+    const parts = timeString.split(':');
+    const secondsParts = parts[2].split(',');
+    const hours = parseInt(parts[0], 10);
+    const minutes = parseInt(parts[1], 10);
+    const seconds = parseInt(secondsParts[0], 10);
+    const milliseconds = parseInt(secondsParts[1], 10);
+    return (hours * 3600 + minutes * 60 + seconds) * 1000 + milliseconds;
+}
+
+// Helper to convert milliseconds back to SRT time format (HH:MM:SS,ms)
+function formatMsToTime(totalMs) {
+    const ms = Math.max(0, Math.round(totalMs));
+    const hours = Math.floor(ms / 3600000);
+    const minutes = Math.floor((ms % 3600000) / 60000);
+    const seconds = Math.floor((ms % 60000) / 1000);
+    const milliseconds = ms % 1000;
+    const pad = (value, length) => String(value).padStart(length, '0');
+    return `${pad(hours, 2)}:${pad(minutes, 2)}:${pad(seconds, 2)},${pad(milliseconds, 3)}`;
+}
+
+// Timing of every valid cue as { index, start, end } in ms, sorted by start time.
+// Invalid entries are skipped, with a warning naming the track when trackName is given.
+function toIntervals(subs, trackName = null) {
+    const intervals = [];
+    subs.forEach((sub, index) => {
+        if (!sub || !sub.startTime || !sub.endTime) {
+            if (trackName) console.warn(`Skipping invalid ${trackName} subtitle entry:`, sub);
+            return;
+        }
+        intervals.push({ index, start: parseTimeToMs(sub.startTime), end: parseTimeToMs(sub.endTime) });
+    });
+    return intervals.sort((a, b) => a.start - b.start);
+}
+
+// First index in a sorted array whose value is >= target
+function lowerBound(sortedValues, target) {
+    let low = 0;
+    let high = sortedValues.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (sortedValues[mid] < target) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    return low;
+}
+
+module.exports = { parseTimeToMs, formatMsToTime, toIntervals, lowerBound };
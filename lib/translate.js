@@ -0,0 +1,195 @@
+// Machine translation of subtitle lines, used when no human translation subtitle exists.
+// Every translator backend exposes the same shape:
+//   name                                     - label used in logs and variant keys
+//   supports(source, target)                 -> whether the language pair can be translated
+//   translateBatch(texts, source, target)    -> translated texts, in the same order
+// createMachineTranslator wraps a backend with batching and a cache of translated lines.
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { sanitizeKey } = require('./storage');
+
+// OpenSubtitles language IDs mapped to the ISO 639-1 codes LibreTranslate expects.
+// Languages missing here are not machine translated.
+const LIBRETRANSLATE_LANGUAGE_CODES = {
+    'alb': 'sq', 'ara': 'ar', 'aze': 'az', 'baq': 'eu', 'ben': 'bn', 'bul': 'bg', 'cat': 'ca',
+    'chi': 'zh', 'cze': 'cs', 'dan': 'da', 'dut': 'nl', 'ell': 'el', 'eng': 'en', 'epo': 'eo',
+    'est': 'et', 'fin': 'fi', 'fre': 'fr', 'ger': 'de', 'gle': 'ga', 'glg': 'gl', 'heb': 'he',
+    'hin': 'hi', 'hun': 'hu', 'ind': 'id', 'ita': 'it', 'jpn': 'ja', 'kor': 'ko', 'lav': 'lv',
+    'lit': 'lt', 'may': 'ms', 'nor': 'nb', 'per': 'fa', 'pob': 'pt-BR', 'pol': 'pl', 'por': 'pt',
+    'rum': 'ro', 'rus': 'ru', 'scc': 'sr', 'slo': 'sk', 'slv': 'sl', 'spa': 'es', 'spl': 'es',
+    'spn': 'es', 'swe': 'sv', 'tgl': 'tl', 'tha': 'th', 'tur': 'tr', 'ukr': 'uk', 'urd': 'ur',
+    'vie': 'vi', 'zht': 'zt'
+};
+
+// Self-hosted LibreTranslate (or any server speaking its /translate API).
+// Sends an array in `q`, which LibreTranslate answers with an array in `translatedText`.
+function createLibreTranslateTranslator({ url, apiKey = null, timeoutMs = 30000 }) {
+    const endpoint = `${url.replace(/\/+$/, '')}/translate`;
+
+    function toBackendLanguage(lang) {
+        return LIBRETRANSLATE_LANGUAGE_CODES[lang] || null;
+    }
+
+    async function translateBatch(texts, source, target) {
+        const response = await axios.post(endpoint, {
+            q: texts,
+            source: toBackendLanguage(source),
+            target: toBackendLanguage(target),
+            format: 'text',
+            ...(apiKey ? { api_key: apiKey } : {})
+        }, { timeout: timeoutMs });
+
+        const translated = response.data && response.data.translatedText;
+        if (!Array.isArray(translated) || translated.length !== texts.length) {
+            throw new Error(`LibreTranslate returned ${Array.isArray(translated) ? translated.length : 'no'} translations for ${texts.length} lines`);
+        }
+        return translated;
+    }
+
+    return {
+        name: 'libretranslate',
+        supports: (source, target) => !!(toBackendLanguage(source) && toBackendLanguage(target)),
+        translateBatch
+    };
+}
+
+// Adds batching and caching to a translator backend.
+// Translated lines are kept in memory (most recent maxCachedLines) and, per cache scope,
+// in a JSON file stored through the storage backend so they survive restarts.
+function createMachineTranslator(translator, storage, { batchSize = 50, batchMaxChars = 5000, maxCachedLines = 20000 } = {}) {
+    const memoryCache = new Map();
+
+    function lineKey(source, target, text) {
+        return crypto.createHash('sha1').update(`${source}\n${target}\n${text}`).digest('hex').substring(0, 16);
+    }
+
+    function remember(key, translation) {
+        memoryCache.delete(key);
+        memoryCache.set(key, translation);
+        if (memoryCache.size > maxCachedLines) {
+            memoryCache.delete(memoryCache.keys().next().value);
+        }
+    }
+
+    function scopeFileName(scope) {
+        return `mt_${sanitizeKey(scope)}.json`;
+    }
+
+    async function readScope(scope) {
+        try {
+            const raw = await storage.get(scopeFileName(scope));
+            if (!raw) return {};
+            return typeof raw === 'string' ? JSON.parse(raw) : raw;
+        } catch (error) {
+            console.warn(`Failed to read translated lines for ${scope}: ${error.message}`);
+            return {};
+        }
+    }
+
+    async function writeScope(scope, lines) {
+        try {
+            await storage.put(scopeFileName(scope), JSON.stringify(lines), {
+                contentType: 'application/json; charset=utf-8',
+                cacheMaxAge: 60
+            });
+        } catch (error) {
+            console.warn(`Failed to store translated lines for ${scope}: ${error.message}`);
+        }
+    }
+
+    // Splits texts into batches bounded by line count and total length
+    function toBatches(texts) {
+        const batches = [];
+        let current = [];
+        let currentChars = 0;
+        for (const text of texts) {
+            if (current.length > 0 && (current.length >= batchSize || currentChars + text.length > batchMaxChars)) {
+                batches.push(current);
+                current = [];
+                currentChars = 0;
+            }
+            current.push(text);
+            currentChars += text.length;
+        }
+        if (current.length > 0) batches.push(current);
+        return batches;
+    }
+
+    // Translates every line from source to target, in order. Empty lines stay empty.
+    // cacheScope names the persistent cache file, e.g. the main subtitle the lines come from;
+    // with readOnly (dry runs) the file is read but not written back.
+    // Throws when the backend fails, so callers never serve a partially translated track.
+    async function translateLines(lines, { source, target, cacheScope = null, readOnly = false }) {
+        const scopeLines = cacheScope ? await readScope(cacheScope) : {};
+        const keys = lines.map(text => lineKey(source, target, text));
+        const pendingTexts = new Set();
+        let scopeChanged = false;
+        keys.forEach((key, index) => {
+            if (!lines[index] || scopeLines[key] !== undefined) return;
+            if (memoryCache.has(key)) {
+                scopeLines[key] = memoryCache.get(key);
+                scopeChanged = true;
+            } else {
+                pendingTexts.add(lines[index]);
+            }
+        });
+        const pending = [...pendingTexts];
+
+        const cachedCount = lines.filter(Boolean).length - pending.length;
+        console.log(`Machine translating ${pending.length} line(s) ${source}->${target} with ${translator.name} (${cachedCount} cached).`);
+
+        for (const batch of toBatches(pending)) {
+            const translated = await translator.translateBatch(batch, source, target);
+            batch.forEach((text, index) => {
+                const key = lineKey(source, target, text);
+                remember(key, translated[index]);
+                scopeLines[key] = translated[index];
+            });
+        }
+
+        const result = keys.map((key, index) => {
+            if (!lines[index]) return '';
+            remember(key, scopeLines[key]);
+            return scopeLines[key];
+        });
+
+        if (cacheScope && !readOnly && (scopeChanged || pending.length > 0)) {
+            await writeScope(cacheScope, scopeLines);
+        }
+        return result;
+    }
+
+    return {
+        name: translator.name,
+        supports: translator.supports,
+        translateLines
+    };
+}
+
+// Builds the machine translator configured by the environment, or null when none is.
+//   LIBRETRANSLATE_URL      - base URL of the LibreTranslate server, e.g. http://localhost:5000
+//   LIBRETRANSLATE_API_KEY  - optional API key
+//   MT_BATCH_SIZE           - lines per request (default 50)
+//   MT_TIMEOUT_MS           - timeout of one request (default 30000)
+function createTranslator(storage, env = process.env) {
+    if (!env.LIBRETRANSLATE_URL) {
+        return null;
+    }
+    const translator = createLibreTranslateTranslator({
+        url: env.LIBRETRANSLATE_URL,
+        apiKey: env.LIBRETRANSLATE_API_KEY || null,
+        timeoutMs: parseInt(env.MT_TIMEOUT_MS, 10) || 30000
+    });
+    console.log(`Machine translation fallback enabled (${translator.name} at ${env.LIBRETRANSLATE_URL}).`);
+    return createMachineTranslator(translator, storage, {
+        batchSize: parseInt(env.MT_BATCH_SIZE, 10) || 50
+    });
+}
+
+module.exports = {
+    LIBRETRANSLATE_LANGUAGE_CODES,
+    createLibreTranslateTranslator,
+    createMachineTranslator,
+    createTranslator
+};
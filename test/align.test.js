@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { alignSubtitles } = require('../lib/align');
+const { parseTimeToMs, formatMsToTime } = require('../lib/time');
+
+// Main cues at irregular gaps over about 25 minutes, so no other offset lines them up
+function mainTrack(count = 120) {
+    const subs = [];
+    let start = 5000;
+    for (let i = 0; i < count; i++) {
+        start += 4000 + ((i * 7919) % 9000);
+        subs.push({ id: String(i + 1), startTime: formatMsToTime(start), endTime: formatMsToTime(start + 2000), text: `line ${i}` });
+    }
+    return subs;
+}
+
+// The same cues timed for another release: mainTime = transTime * scale + offsetMs
+function translationFor(mainSubs, { scale = 1, offsetMs = 0 }) {
+    const toTrans = time => formatMsToTime((parseTimeToMs(time) - offsetMs) / scale);
+    return mainSubs.map(sub => ({ ...sub, startTime: toTrans(sub.startTime), endTime: toTrans(sub.endTime), text: `çeviri ${sub.id}` }));
+}
+
+function assertLinedUp(mainSubs, alignedSubs, toleranceMs = 100) {
+    mainSubs.forEach((sub, index) => {
+        const difference = Math.abs(parseTimeToMs(alignedSubs[index].startTime) - parseTimeToMs(sub.startTime));
+        assert.ok(difference <= toleranceMs, `cue ${index + 1} is ${difference}ms off`);
+    });
+}
+
+test('recovers a constant offset', (t) => {
+    t.mock.method(console, 'log', () => {});
+    const main = mainTrack();
+    const result = alignSubtitles(main, translationFor(main, { offsetMs: 3500 }));
+    assert.strictEqual(result.applied, true);
+    assert.ok(Math.abs(result.offsetMs - 3500) <= 50, `offset ${result.offsetMs}`);
+    assert.ok(Math.abs(result.scale - 1) < 0.0001, `scale ${result.scale}`);
+    assert.strictEqual(result.frameRate, null);
+    assert.ok(result.confidence > 0.9 && result.baselineConfidence < 0.1);
+    assertLinedUp(main, result.subtitles);
+});
+
+test('recovers a 25 to 23.976 fps drift together with an offset', (t) => {
+    t.mock.method(console, 'log', () => {});
+    const main = mainTrack();
+    const result = alignSubtitles(main, translationFor(main, { scale: 25 / (24000 / 1001), offsetMs: -2000 }));
+    assert.strictEqual(result.applied, true);
+    assert.deepStrictEqual(result.frameRate, { main: 23.976, translation: 25 });
+    assert.ok(Math.abs(result.offsetMs + 2000) <= 100, `offset ${result.offsetMs}`);
+    assertLinedUp(main, result.subtitles);
+});
+
+test('leaves a track that already lines up alone', (t) => {
+    t.mock.method(console, 'log', () => {});
+    const main = mainTrack();
+    const translation = translationFor(main, {});
+    const result = alignSubtitles(main, translation);
+    assert.strictEqual(result.applied, false);
+    assert.strictEqual(result.subtitles, translation);
+    assert.strictEqual(result.baselineConfidence, 1);
+});
+
+test('skips tracks with too few cues', (t) => {
+    t.mock.method(console, 'log', () => {});
+    const main = mainTrack(5);
+    const result = alignSubtitles(main, translationFor(main, { offsetMs: 3500 }));
+    assert.strictEqual(result.applied, false);
+    assert.strictEqual(result.anchors, 0);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildCacheKey, buildOptionsKey, createResultCache } = require('../lib/cache');
+const { createMemoryStorage } = require('../lib/storage');
+
+const result = (mainId, subtitles = [{ id: 'DualSubs v1', url: 'http://host/merged/a.srt' }]) => ({ subtitles, mainId, variants: {} });
+
+test('keeps one result per options key under the same title', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const cache = createResultCache(createMemoryStorage({ publicBaseUrl: 'http://host' }), { ttlHours: 1 });
+    const cacheKey = buildCacheKey({ imdbId: 'tt123', mainLang: 'eng', transLang: 'tur' });
+    const srtKey = buildOptionsKey({ style: { format: 'srt' } });
+    const assKey = buildOptionsKey({ style: { format: 'ass' } });
+    assert.notStrictEqual(srtKey, assKey);
+    assert.strictEqual(buildOptionsKey({ a: 1, b: 2 }), buildOptionsKey({ b: 2, a: 1 }));
+
+    await cache.set(cacheKey, srtKey, result('main-srt'));
+    await cache.set(cacheKey, assKey, result('main-ass'));
+    assert.strictEqual((await cache.get(cacheKey, srtKey)).mainId, 'main-srt');
+    assert.strictEqual((await cache.get(cacheKey, assKey)).mainId, 'main-ass');
+    assert.strictEqual(await cache.get(cacheKey, buildOptionsKey({ other: true })), null);
+
+    await cache.invalidate(cacheKey);
+    assert.strictEqual(await cache.get(cacheKey, srtKey), null);
+});
+
+test('concurrent writes with different options keep both results', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const storage = createMemoryStorage({ publicBaseUrl: 'http://host' });
+    // A slow storage gives every write the chance to interleave with the others
+    const slowStorage = {
+        ...storage,
+        get: async key => { await new Promise(resolve => setTimeout(resolve, 10)); return storage.get(key); },
+        put: async (key, content) => { await new Promise(resolve => setTimeout(resolve, 10)); return storage.put(key, content); }
+    };
+    const cache = createResultCache(slowStorage, { ttlHours: 1 });
+    const optionsKeys = ['a', 'b', 'c', 'd'].map(name => buildOptionsKey({ name }));
+    await Promise.all(optionsKeys.map(optionsKey => cache.set('tt123_eng_tur', optionsKey, result(optionsKey))));
+    for (const optionsKey of optionsKeys) {
+        assert.strictEqual((await cache.get('tt123_eng_tur', optionsKey)).mainId, optionsKey);
+    }
+});
+
+test('marks results older than the TTL as stale but still returns them', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const cache = createResultCache(createMemoryStorage({ publicBaseUrl: 'http://host' }), { ttlHours: 1 });
+    const optionsKey = buildOptionsKey({});
+    await cache.set('tt123_eng_tur', optionsKey, result('main'));
+    assert.strictEqual((await cache.get('tt123_eng_tur', optionsKey)).isFresh, true);
+
+    const twoHoursLater = Date.now() + 2 * 3600 * 1000;
+    t.mock.method(Date, 'now', () => twoHoursLater);
+    const stale = await cache.get('tt123_eng_tur', optionsKey);
+    assert.strictEqual(stale.isFresh, false);
+    assert.strictEqual(stale.mainId, 'main');
+});
+
+test('a TTL of 0 turns the cache off', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const cache = createResultCache(createMemoryStorage({ publicBaseUrl: 'http://host' }), { ttlHours: 0 });
+    await cache.set('tt123_eng_tur', 'options', result('main'));
+    assert.strictEqual(cache.enabled, false);
+    assert.strictEqual(await cache.get('tt123_eng_tur', 'options'), null);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { cleanupCueText, looksHearingImpaired } = require('../lib/cleanup');
+
+const soundEffects = { soundEffects: true };
+
+test('removes bracketed, all caps and short lowercase sound descriptions', () => {
+    assert.strictEqual(cleanupCueText('[door slams] Hi', soundEffects), 'Hi');
+    assert.strictEqual(cleanupCueText('(DOOR SLAMS)\nWho is it?', soundEffects), 'Who is it?');
+    assert.strictEqual(cleanupCueText('(laughs) Okay.', soundEffects), 'Okay.');
+    assert.strictEqual(cleanupCueText('(sighs heavily) Fine.', soundEffects), 'Fine.');
+    assert.strictEqual(cleanupCueText('（笑）そうね', soundEffects), 'そうね');
+    assert.strictEqual(cleanupCueText('(LAUGHS)', soundEffects), '');
+});
+
+test('keeps parenthesized dialogue', () => {
+    for (const text of ['(I think) he left', '(he really did leave us) bye', 'Two (2) items', '（彼はそう言ったけど本当かどうか）']) {
+        assert.strictEqual(cleanupCueText(text, soundEffects), text);
+    }
+});
+
+test('parenthesized dialogue does not make subtitles look hearing impaired', () => {
+    const cue = text => ({ text });
+    assert.strictEqual(looksHearingImpaired([cue('(I think) he left'), cue('Hello')]), false);
+    assert.strictEqual(looksHearingImpaired([cue('(laughs) Okay.'), cue('Hello')]), true);
+});
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { decodeSubtitleBuffer, repairDoubleEncodedUtf8 } = require('../lib/encoding');
+
+test('repairs double encoded UTF-8', () => {
+    assert.strictEqual(repairDoubleEncodedUtf8('fÃ¼r').text, 'für');
+    assert.strictEqual(repairDoubleEncodedUtf8('itâ€™s').text, 'it’s');
+    assert.strictEqual(decodeSubtitleBuffer(Buffer.from('ÐŸÑ€Ð¸Ð²ÐµÑ‚'), 'rus').text, 'Привет');
+    assert.strictEqual(decodeSubtitleBuffer(Buffer.from('Ã§ok gÃ¼zel ÅŸey'), 'tur').text, 'çok güzel şey');
+});
+
+test('leaves real text that happens to be valid double encoded UTF-8 alone', () => {
+    for (const text of ['ÜBER MÜ”', 'MÄ»', 'Ö…', '»MÄNNER«']) {
+        assert.strictEqual(repairDoubleEncodedUtf8(text).text, text);
+        assert.strictEqual(decodeSubtitleBuffer(Buffer.from(text), 'ger').text, text);
+    }
+});
+
+test('keeps runs that decode to another script than the language', () => {
+    const { text } = repairDoubleEncodedUtf8('fÃ¼r MÄ»', 'westernEuropean');
+    assert.strictEqual(text, 'für MÄ»');
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { mergeSubtitles } = require('../lib/merge');
+const { EXPORT_FORMATS, buildPairsKey, toPairs } = require('../lib/export');
+
+const cue = (id, start, end, text) => ({
+    id: String(id),
+    startTime: `00:00:${String(start).padStart(2, '0')},000`,
+    endTime: `00:00:${String(end).padStart(2, '0')},000`,
+    text
+});
+
+test('stores the pairs next to the merged file', () => {
+    assert.strictEqual(buildPairsKey('tt1_abc_eng-tur'), 'tt1_abc_eng-tur.pairs.json');
+});
+
+test('keeps the cues with both lines as plain text pairs', () => {
+    const pairs = toPairs(mergeSubtitles(
+        [cue(1, 1, 3, 'Tom & Jerry <3'), cue(2, 4, 6, 'No translation here'), cue(3, 7, 9, 'Bye')],
+        [cue(1, 1, 3, 'Tom & Jerry, a < b'), cue(3, 7, 9, 'Güle güle')]
+    ));
+    assert.deepStrictEqual(pairs, [
+        { index: 1, start: '00:00:01,000', end: '00:00:03,000', startMs: 1000, endMs: 3000, main: 'Tom & Jerry <3', reading: null, translation: 'Tom & Jerry, a < b', secondTranslation: null },
+        { index: 2, start: '00:00:07,000', end: '00:00:09,000', startMs: 7000, endMs: 9000, main: 'Bye', reading: null, translation: 'Güle güle', secondTranslation: null }
+    ]);
+});
+
+test('a revealed translation gets the timing of its whole cue back', () => {
+    const pairs = toPairs([
+        { startTime: '00:00:01,000', endTime: '00:00:02,000', mainText: 'Hello' },
+        { startTime: '00:00:02,000', segmentStartTime: '00:00:01,000', endTime: '00:00:03,000', mainText: 'Hello', transText: 'Merhaba' }
+    ]);
+    assert.strictEqual(pairs.length, 1);
+    assert.deepStrictEqual([pairs[0].start, pairs[0].startMs, pairs[0].endMs], ['00:00:01,000', 1000, 3000]);
+});
+
+const pairs = toPairs([
+    { startTime: '00:00:01,000', endTime: '00:00:02,500', mainText: 'Say "hi",\nplease', transText: 'Lütfen\t"merhaba" de' },
+    { startTime: '00:00:03,000', endTime: '00:00:04,000', mainText: '日本', mainReading: { line: 'にほん' }, transText: 'Japonya', secondTransText: 'Japan' }
+]);
+
+test('CSV quotes fields with commas, quotes and line breaks', () => {
+    assert.strictEqual(EXPORT_FORMATS.csv.format(pairs), [
+        'main,translation,reading,secondTranslation,start,end',
+        '"Say ""hi"",\nplease","Lütfen\t""merhaba"" de",,,"00:00:01,000","00:00:02,500"',
+        '日本,Japonya,にほん,Japan,"00:00:03,000","00:00:04,000"',
+        ''
+    ].join('\r\n'));
+});
+
+test('TSV has the Anki header and no tabs or line breaks inside fields', () => {
+    assert.strictEqual(EXPORT_FORMATS.tsv.format(pairs), [
+        '#separator:tab',
+        '#html:false',
+        '#columns:main\ttranslation\treading\tsecondTranslation\tstart\tend',
+        'Say "hi", please\tLütfen "merhaba" de\t\t\t00:00:01,000\t00:00:02,500',
+        '日本\tJaponya\tにほん\tJapan\t00:00:03,000\t00:00:04,000',
+        ''
+    ].join('\n'));
+    // Optional columns only appear when a pair has them
+    assert.match(EXPORT_FORMATS.tsv.format(pairs.slice(0, 1)), /^#columns:main\ttranslation\tstart\tend$/m);
+});
+
+test('JSON carries the metadata, the count and the pairs', () => {
+    const json = JSON.parse(EXPORT_FORMATS.json.format(pairs, { id: 'tt1', languages: ['eng', 'tur'] }));
+    assert.strictEqual(json.id, 'tt1');
+    assert.strictEqual(json.count, 2);
+    assert.deepStrictEqual(json.pairs, pairs);
+    assert.strictEqual(EXPORT_FORMATS.json.contentType, 'application/json; charset=utf-8');
+});
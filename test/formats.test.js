@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { mergeSubtitles } = require('../lib/merge');
+const { parseStyleConfig, formatAss, formatVtt } = require('../lib/formats');
+
+const cue = (id, start, end, text) => ({
+    id: String(id),
+    startTime: `00:00:${String(start).padStart(2, '0')},000`,
+    endTime: `00:00:${String(end).padStart(2, '0')},000`,
+    text
+});
+
+const mergedSubs = mergeSubtitles(
+    [cue(1, 1, 3, 'Tom & Jerry <3 x > y')],
+    [cue(1, 1, 3, 'Tom & Jerry, a < b')]
+);
+
+test('ASS shows &, < and > as they are', () => {
+    const ass = formatAss(mergedSubs, parseStyleConfig({ outputFormat: 'ASS (styled)' }));
+    assert.match(ass, /,Main,,0,0,0,,Tom & Jerry <3 x > y$/m);
+    assert.match(ass, /,Translation,,0,0,0,,Tom & Jerry, a < b$/m);
+    assert.doesNotMatch(ass, /&amp;|&lt;|&gt;/);
+});
+
+test('WebVTT escapes &, < and > once', () => {
+    const vtt = formatVtt(mergedSubs, parseStyleConfig({ outputFormat: 'WebVTT (styled)' }));
+    assert.ok(vtt.includes('<c.main>Tom &amp; Jerry &lt;3 x &gt; y</c>'), vtt);
+    assert.ok(vtt.includes('<c.translation>Tom &amp; Jerry, a &lt; b</c>'), vtt);
+    assert.doesNotMatch(vtt, /&amp;(amp|lt|gt);/);
+});
+
+const styled = (format, config = {}, layout = {}) => parseStyleConfig({ outputFormat: format, ...config }, layout);
+
+const sub = (fields) => ({ startTime: '00:00:01,000', endTime: '01:02:03,456', mainText: 'Main {line}', transText: 'Çeviri', ...fields });
+
+test('parses the style settings and falls back to the defaults for unknown labels', () => {
+    const defaults = parseStyleConfig();
+    assert.strictEqual(defaults.format, 'srt');
+    assert.strictEqual(defaults.translationPosition, 'top');
+    assert.deepStrictEqual(
+        [defaults.main.color, defaults.main.fontSize, defaults.main.italic],
+        ['FFFFFF', 64, false]
+    );
+    assert.deepStrictEqual(
+        [defaults.translation.color, defaults.translation.fontSize, defaults.translation.italic],
+        ['FFFF00', 56, true]
+    );
+
+    const custom = parseStyleConfig({ outputFormat: 'Unknown', mainColor: 'Orange', mainFontSize: 'Large', translationColor: 'Purple' }, { mainEmphasis: 'bold', translationEmphasis: 'none' });
+    assert.strictEqual(custom.format, 'srt');
+    assert.deepStrictEqual([custom.main.color, custom.main.fontSize, custom.main.bold], ['FFA500', 80, true]);
+    assert.strictEqual(custom.translation.color, 'FFFF00');
+    assert.strictEqual(custom.translation.italic, false);
+    // Rare words never take the main line's own color
+    assert.strictEqual(custom.rare.color, '00FFFF');
+    assert.strictEqual(defaults.rare.color, 'FFA500');
+});
+
+test('ASS has a style per line with its color, size and position', () => {
+    const ass = formatAss([sub()], styled('ASS (styled)'));
+    assert.match(ass, /^Style: Main,Arial,64,&H00FFFFFF,.*,2,60,60,50,1$/m);
+    assert.match(ass, /^Style: Translation,Arial,56,&H0000FFFF,&H000000FF,&H00000000,&H80000000,0,-1,.*,8,60,60,50,1$/m);
+    const events = ass.split('\n').filter(line => line.startsWith('Dialogue:'));
+    assert.deepStrictEqual(events, [
+        'Dialogue: 0,0:00:01.00,1:02:03.46,Main,,0,0,0,,Main (line)',
+        'Dialogue: 0,0:00:01.00,1:02:03.46,Translation,,0,0,0,,Çeviri'
+    ]);
+});
+
+test('ASS stacks the translation below or above the main line at the bottom', () => {
+    const bottom = styled('ASS (styled)', { translationPosition: 'Bottom, stacked with the main line' });
+    assert.match(formatAss([sub()], bottom), /^Style: Translation,.*,2,60,60,50,1$/m);
+    const styles = events => events.split('\n').filter(line => line.startsWith('Dialogue:')).map(line => line.split(',')[3]);
+    // The first bottom event ends up lowest
+    assert.deepStrictEqual(styles(formatAss([sub()], bottom)), ['Translation', 'Main']);
+    const translationOnTop = styled('ASS (styled)', { translationPosition: 'Bottom, stacked with the main line' }, { topLine: 'translation' });
+    assert.deepStrictEqual(styles(formatAss([sub()], translationOnTop)), ['Main', 'Translation']);
+});
+
+test('WebVTT places each line with its own cue and class', () => {
+    const positions = (config, layout) => formatVtt([sub()], styled('WebVTT (styled)', config, layout))
+        .split('\n').filter(line => line.includes('-->')).map(line => line.split(' ')[3]);
+    const bottom = { translationPosition: 'Bottom, stacked with the main line' };
+    assert.deepStrictEqual(positions({}), ['line:-1', 'line:0']);
+    assert.deepStrictEqual(positions(bottom), ['line:-2', 'line:-1']);
+    assert.deepStrictEqual(positions(bottom, { topLine: 'translation' }), ['line:-1', 'line:-2']);
+
+    const vtt = formatVtt([sub()], styled('WebVTT (styled)'));
+    assert.ok(vtt.startsWith('WEBVTT\n\nSTYLE\n::cue(.main) { color: #FFFFFF; font-size: 100%;'), vtt);
+    assert.ok(vtt.includes('::cue(.translation) { color: #FFFF00; font-size: 88%; font-style: italic;'), vtt);
+    assert.ok(vtt.includes('1\n00:00:01.000 --> 01:02:03.456 line:-1 align:center\n<c.main>Main {line}</c>\n'), vtt);
+    assert.ok(vtt.includes('2\n00:00:01.000 --> 01:02:03.456 line:0 align:center\n<c.translation>Çeviri</c>\n'), vtt);
+});
+
+test('rare words get the rare style in both formats', () => {
+    const rareSub = sub({ mainWords: [{ text: 'An ' }, { text: 'ominous', rare: true }, { text: ' sign' }] });
+    assert.match(formatAss([rareSub], styled('ASS (styled)')), /,Main,,0,0,0,,An \{\\rRare\}ominous\{\\r\} sign$/m);
+    const vtt = formatVtt([rareSub], styled('WebVTT (styled)'));
+    assert.ok(vtt.includes('<c.main>An <c.rare>ominous</c> sign</c>'), vtt);
+    assert.ok(vtt.includes('::cue(.rare) { color: #FFA500; font-size: 100%; font-style: normal; font-weight: bold;'), vtt);
+});
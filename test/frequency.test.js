@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { markRareWords } = require('../lib/frequency');
+
+const rareWords = pieces => (pieces || []).filter(piece => piece.rare).map(piece => piece.text);
+
+test('marks rare words between spaces', () => {
+    const ranks = new Map(['the', 'go', 'to'].map((word, index) => [word, index + 1]));
+    assert.deepStrictEqual(rareWords(markRareWords("Go to the moon, it's well-known", ranks, 100)), ['moon', "it's", 'well-known']);
+    assert.strictEqual(markRareWords('Go to the', ranks, 100), null);
+});
+
+test('splits Chinese and Japanese into words instead of marking whole lines', () => {
+    const chinese = new Map(['我', '今天', '去', '学校'].map((word, index) => [word, index + 1]));
+    assert.deepStrictEqual(rareWords(markRareWords('我今天不想去学校。', chinese, 100)), ['不想']);
+
+    const japanese = new Map(['私', 'は', '学校', 'に', '行き', 'ない', 'です'].map((word, index) => [word, index + 1]));
+    const pieces = markRareWords('私は学校に行きたくないです。', japanese, 100);
+    assert.deepStrictEqual(rareWords(pieces), ['たく']);
+    assert.strictEqual(pieces.map(piece => piece.text).join(''), '私は学校に行きたくないです。');
+});
+
+test('never marks the name of an HTML entity in the sanitized text', () => {
+    const ranks = new Map(['tom', 'and', 'jerry'].map((word, index) => [word, index + 1]));
+    const text = 'Tom &amp; Jerry &lt;3 &#39;quoted&#39;';
+    const pieces = markRareWords(text, ranks, 100);
+    assert.deepStrictEqual(rareWords(pieces), ['quoted']);
+    assert.strictEqual(pieces.map(piece => piece.text).join(''), text);
+    assert.strictEqual(markRareWords('Tom &amp; Jerry', ranks, 100), null);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isProviderFailure, createHealthTracker } = require('../lib/health');
+
+const httpError = status => Object.assign(new Error(`HTTP ${status}`), { response: { status } });
+const timeoutError = () => Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' });
+
+// A tracker on a clock the test moves forward by hand
+function trackerWithClock(t, options = {}) {
+    const clock = { now: 1000000 };
+    t.mock.method(Date, 'now', () => clock.now);
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    return { tracker: createHealthTracker({ openMs: 1000, maxOpenMs: 3000, ...options }), clock };
+}
+
+const fail = tracker => assert.rejects(tracker.run('os', async () => { throw timeoutError(); }));
+const succeed = tracker => tracker.run('os', async () => 'ok');
+
+test('counts transport errors, 403, 429 and 5xx as provider failures', () => {
+    for (const error of [timeoutError(), httpError(403), httpError(429), httpError(503)]) {
+        assert.strictEqual(isProviderFailure(error), true, error.message);
+    }
+    for (const error of [httpError(404), httpError(401), Object.assign(new Error('refused'), { code: 'RATE_LIMITED' })]) {
+        assert.strictEqual(isProviderFailure(error), false, error.message);
+    }
+});
+
+test('opens the circuit once half of the calls fail and skips the provider', async (t) => {
+    const { tracker } = trackerWithClock(t);
+    await succeed(tracker);
+    await fail(tracker);
+    assert.strictEqual(tracker.snapshot().os.state, 'closed');
+    await fail(tracker);
+    assert.strictEqual(tracker.snapshot().os.state, 'open');
+
+    let called = false;
+    await assert.rejects(tracker.run('os', async () => { called = true; }), { code: 'CIRCUIT_OPEN' });
+    assert.strictEqual(called, false);
+    assert.strictEqual(await tracker.run('other', async () => 'ok'), 'ok');
+});
+
+test('missing files do not open the circuit', async (t) => {
+    const { tracker } = trackerWithClock(t);
+    for (let i = 0; i < 5; i++) {
+        await assert.rejects(tracker.run('os', async () => { throw httpError(404); }));
+    }
+    assert.strictEqual(tracker.snapshot().os.state, 'closed');
+    assert.strictEqual(tracker.snapshot().os.errorRate, 0);
+});
+
+test('lets one probe through after the cooldown and closes on success', async (t) => {
+    const { tracker, clock } = trackerWithClock(t, { minCalls: 1 });
+    await fail(tracker);
+    clock.now += 1000;
+
+    let release;
+    const probe = tracker.run('os', () => new Promise(resolve => { release = resolve; }));
+    await assert.rejects(succeed(tracker), { code: 'CIRCUIT_OPEN' }, 'only one probe at a time');
+    release('ok');
+    assert.strictEqual(await probe, 'ok');
+    assert.strictEqual(tracker.snapshot().os.state, 'closed');
+    assert.strictEqual(await succeed(tracker), 'ok');
+});
+
+test('a failed probe opens the circuit for twice as long, up to the maximum', async (t) => {
+    const { tracker, clock } = trackerWithClock(t, { minCalls: 1 });
+    await fail(tracker);
+    assert.strictEqual(tracker.snapshot().os.retryInMs, 1000);
+
+    clock.now += 1000;
+    await fail(tracker);
+    assert.strictEqual(tracker.snapshot().os.retryInMs, 2000);
+
+    clock.now += 2000;
+    await fail(tracker);
+    assert.strictEqual(tracker.snapshot().os.retryInMs, 3000);
+
+    clock.now += 3000;
+    await fail(tracker);
+    assert.strictEqual(tracker.snapshot().os.retryInMs, 3000);
+
+    // Closing again starts over from the first cooldown
+    clock.now += 3000;
+    await succeed(tracker);
+    await fail(tracker);
+    assert.strictEqual(tracker.snapshot().os.retryInMs, 1000);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseLayoutConfig, mergeSubtitles } = require('../lib/merge');
+
+const cue = (id, start, end, text) => ({
+    id: String(id),
+    startTime: `00:00:${String(start).padStart(2, '0')},000`,
+    endTime: `00:00:${String(end).padStart(2, '0')},000`,
+    text
+});
+
+const mainSubs = [
+    cue(1, 1, 3, 'Hello there.'),
+    cue(2, 10, 12, 'How are you?'),
+    cue(3, 30, 32, 'Goodbye.')
+];
+// "Şarkı", "Lied" and "Flüstern" are far from every main cue
+const transSubs = [
+    cue(1, 1, 3, 'Merhaba.'),
+    cue(2, 10, 11, 'Nasılsın,'),
+    cue(3, 11, 12, 'dostum?'),
+    cue(4, 20, 22, 'Şarkı'),
+    cue(5, 30, 32, 'Hoşça kal.')
+];
+const secondTransSubs = [
+    cue(1, 1, 3, 'Hallo.'),
+    cue(2, 20, 22, 'Lied'),
+    cue(3, 25, 26, 'Flüstern'),
+    cue(4, 30, 32, 'Tschüss.')
+];
+
+function assertEveryLineOnce(merged, subs) {
+    const output = merged.map(sub => sub.text).join('\n');
+    for (const sub of subs) {
+        const occurrences = output.split(sub.text).length - 1;
+        assert.strictEqual(occurrences, 1, `"${sub.text}" appears ${occurrences} times`);
+    }
+}
+
+test('every translation line appears once with the default layout', () => {
+    const merged = mergeSubtitles(mainSubs, transSubs, { secondTransSubs });
+    assertEveryLineOnce(merged, transSubs);
+    assertEveryLineOnce(merged, secondTransSubs);
+
+    // The unpaired translation and second translation cues share one cue, the lone one stands alone
+    const song = merged.find(sub => sub.transText === 'Şarkı');
+    assert.strictEqual(song.mainText, null);
+    assert.strictEqual(song.secondTransText, 'Lied');
+    const whisper = merged.find(sub => sub.secondTransText === 'Flüstern');
+    assert.strictEqual(whisper.transText, null);
+    assert.deepStrictEqual(merged.map(sub => sub.startTime), [...merged.map(sub => sub.startTime)].sort());
+});
+
+test('every translation line appears once when unpaired lines join the nearest main line', () => {
+    for (const unmatchedMain of ['Keep them (main line only)', 'Drop them']) {
+        const layout = parseLayoutConfig({ translationFallback: 'Add them to the nearest main line', unmatchedMain });
+        const merged = mergeSubtitles(mainSubs, transSubs, { secondTransSubs, layout });
+        assertEveryLineOnce(merged, transSubs);
+        assertEveryLineOnce(merged, secondTransSubs);
+        assert.ok(merged.every(sub => sub.mainText), 'no translation-only cues');
+        assert.strictEqual(merged.find(sub => sub.mainText === 'Goodbye.').secondTransText, 'Flüstern Tschüss.');
+    }
+});
+
+test('a configuration from before the fallback options changed shows unpaired lines', () => {
+    const layout = parseLayoutConfig({ translationFallback: 'Off' });
+    assertEveryLineOnce(mergeSubtitles(mainSubs, transSubs, { layout }), transSubs);
+});
+
+test('labels from before the guess first and rare word options were renamed still apply', () => {
+    const layout = parseLayoutConfig({ translationReveal: 'During the last half of the line', difficultyThreshold: 'Top 3000 words are known' });
+    assert.deepStrictEqual(layout.translationReveal, { revealAt: 0.5 });
+    assert.strictEqual(layout.difficultyThreshold, 3000);
+    assert.deepStrictEqual(parseLayoutConfig({ translationReveal: 'For the last third' }).translationReveal, { revealAt: 2 / 3 });
+});
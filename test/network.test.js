@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isPublicAddress, publicOnlyRequestOptions } = require('../lib/network');
+
+test('tells public addresses from loopback, private and link-local ones', () => {
+    for (const address of ['8.8.8.8', '2606:4700::1111', '::ffff:8.8.8.8']) {
+        assert.strictEqual(isPublicAddress(address), true, address);
+    }
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1']) {
+        assert.strictEqual(isPublicAddress(address), false, address);
+    }
+});
+
+test('refuses URLs and redirects to non-public addresses', async () => {
+    assert.throws(() => publicOnlyRequestOptions('http://127.0.0.1:7000/manifest.json'), { code: 'BLOCKED_ADDRESS' });
+    assert.throws(() => publicOnlyRequestOptions('http://[::1]/subtitle.srt'), { code: 'BLOCKED_ADDRESS' });
+
+    const { lookup, beforeRedirect } = publicOnlyRequestOptions('https://addon.example/manifest.json');
+    await assert.rejects(lookup('localhost'), { code: 'BLOCKED_ADDRESS' });
+    assert.throws(() => beforeRedirect({ hostname: '169.254.169.254' }), { code: 'BLOCKED_ADDRESS' });
+    assert.doesNotThrow(() => beforeRedirect({ hostname: 'addon.example' }));
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { parseOpenSubtitlesLogin, createOpenSubtitlesComProvider } = require('../lib/opensubtitles');
+
+test('splits the login setting at the first colon', () => {
+    assert.deepStrictEqual(parseOpenSubtitlesLogin('user:pa:ss'), { username: 'user', password: 'pa:ss' });
+    assert.strictEqual(parseOpenSubtitlesLogin('user'), null);
+    assert.strictEqual(parseOpenSubtitlesLogin(':password'), null);
+});
+
+test('logins with the same username and different passwords get separate sessions', async (t) => {
+    const logins = [];
+    const authorizations = [];
+    t.mock.method(axios, 'post', async (url, body) => {
+        logins.push(body);
+        return { data: { token: `token-${body.password}` } };
+    });
+    t.mock.method(axios, 'get', async (url, options) => {
+        authorizations.push(options.headers.Authorization);
+        return { data: { data: [] } };
+    });
+    t.mock.method(console, 'log', () => {});
+
+    const search = password => createOpenSubtitlesComProvider({ apiKey: 'server-key', username: 'victim', password, fetchContent: null })
+        .search({ languageId: 'eng', baseSearchParams: { imdbid: '123' } });
+    await search('secret');
+    await search('guess');
+    await search('secret');
+
+    assert.deepStrictEqual(logins.map(body => body.password), ['secret', 'guess']);
+    assert.deepStrictEqual(authorizations, ['Bearer token-secret', 'Bearer token-guess', 'Bearer token-secret']);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseRetryAfter, createRateLimiter } = require('../lib/ratelimit');
+
+// The limiter's timers do not keep the process alive (the addon's server does), so the tests do
+const keepAlive = setInterval(() => {}, 1000);
+test.after(() => clearInterval(keepAlive));
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+
+test('lets a burst through, then one request per refilled token', async () => {
+    const limiter = createRateLimiter({ hostLimits: { 'burst.test': { requestsPerMinute: 600, burst: 2 } } });
+    const startedAt = Date.now();
+    const finishedAfter = await Promise.all([1, 2, 3].map(() =>
+        limiter.schedule('https://burst.test/a', async () => Date.now() - startedAt)));
+    assert.ok(finishedAfter[0] < 50 && finishedAfter[1] < 50, `burst took ${finishedAfter}`);
+    assert.ok(finishedAfter[2] >= 90, `third request after ${finishedAfter[2]}ms`);
+});
+
+test('fails right away when the wait would exceed maxQueueWaitMs', async () => {
+    const limiter = createRateLimiter({ hostLimits: { 'slow.test': { requestsPerMinute: 6, burst: 1 } }, maxQueueWaitMs: 200 });
+    await limiter.schedule('https://slow.test/a', async () => 'first');
+    let called = false;
+    const startedAt = Date.now();
+    await assert.rejects(limiter.schedule('https://slow.test/b', async () => { called = true; }), { code: 'RATE_LIMITED' });
+    assert.strictEqual(called, false);
+    assert.ok(Date.now() - startedAt < 100);
+    // Other hosts have buckets of their own
+    assert.strictEqual(await limiter.schedule('https://other.test/a', async () => 'other'), 'other');
+});
+
+test('a 429 with Retry-After pauses the whole host before the retry', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const limiter = createRateLimiter({ hostLimits: { 'busy.test': { requestsPerMinute: 6000, burst: 10 } }, maxRetries: 1 });
+    const startedAt = Date.now();
+    let attempts = 0;
+    const retried = limiter.schedule('https://busy.test/a', async () => {
+        attempts++;
+        if (attempts === 1) throw httpError(429, { 'retry-after': '0.3' });
+        return Date.now() - startedAt;
+    });
+    // Queued while the host is paused, so it waits as well
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const queued = limiter.schedule('https://busy.test/b', async () => Date.now() - startedAt);
+    const [retriedAfter, queuedAfter] = await Promise.all([retried, queued]);
+    assert.strictEqual(attempts, 2);
+    assert.ok(retriedAfter >= 290, `retried after ${retriedAfter}ms`);
+    assert.ok(queuedAfter >= 290, `queued request ran after ${queuedAfter}ms`);
+});
+
+test('retries 5xx responses and passes other errors on', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const limiter = createRateLimiter({ maxRetries: 1 });
+    let attempts = 0;
+    const result = await limiter.schedule('https://flaky.test/a', async () => {
+        attempts++;
+        if (attempts === 1) throw httpError(503);
+        return 'ok';
+    });
+    assert.strictEqual(result, 'ok');
+    assert.strictEqual(attempts, 2);
+
+    let notFoundAttempts = 0;
+    await assert.rejects(limiter.schedule('https://flaky.test/missing', async () => {
+        notFoundAttempts++;
+        throw httpError(404);
+    }), /HTTP 404/);
+    assert.strictEqual(notFoundAttempts, 1);
+});
+
+test('reads Retry-After as seconds or as an HTTP date', () => {
+    assert.strictEqual(parseRetryAfter({ 'retry-after': '2' }), 2000);
+    const inTenSeconds = new Date(Date.now() + 10000).toUTCString();
+    const ms = parseRetryAfter({ 'Retry-After': inTenSeconds });
+    assert.ok(ms > 8000 && ms <= 10000, `${ms}`);
+    assert.strictEqual(parseRetryAfter({}), null);
+});
+
+test('shares a pause through the storage with a short cache age', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const stored = [];
+    const limiter = createRateLimiter({ maxRetries: 0 });
+    limiter.shareState({
+        get: async () => null,
+        put: async (key, content, options) => { stored.push({ key, state: JSON.parse(content), options }); }
+    });
+    await assert.rejects(limiter.schedule('https://shared.test/a', async () => { throw httpError(429, { 'retry-after': '5' }); }));
+    const pause = stored.find(entry => entry.state.blockedUntil > Date.now());
+    assert.ok(pause, 'the pause is stored');
+    assert.strictEqual(pause.key, 'ratelimit_shared.test.json');
+    assert.strictEqual(pause.options.cacheMaxAge, 60);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { measurePairAlignment, scoreCandidatePair } = require('../lib/scoring');
+const { formatMsToTime } = require('../lib/time');
+
+// Two second cues with a gap of three seconds, shifted by shiftMs
+function track(count, shiftMs = 0) {
+    return Array.from({ length: count }, (_, i) => {
+        const start = 10000 + i * 5000 + shiftMs;
+        return { id: String(i + 1), startTime: formatMsToTime(start), endTime: formatMsToTime(start + 2000), text: `line ${i}` };
+    });
+}
+
+const perfectFit = { matchedRatio: 1, meanTimingErrorMs: 0, cueCountRatio: 1 };
+
+test('a translation with the same timings matches every cue', () => {
+    assert.deepStrictEqual(measurePairAlignment(track(20), track(20)), perfectFit);
+});
+
+test('measures the timing error and the cue count ratio', () => {
+    const metrics = measurePairAlignment(track(20), track(10, 300));
+    assert.strictEqual(metrics.matchedRatio, 0.5);
+    assert.strictEqual(metrics.meanTimingErrorMs, 300);
+    assert.strictEqual(metrics.cueCountRatio, 0.5);
+});
+
+test('cues further apart than the tolerance do not match', () => {
+    const metrics = measurePairAlignment(track(20), track(20, 2600));
+    assert.strictEqual(metrics.matchedRatio, 0);
+    assert.strictEqual(metrics.meanTimingErrorMs, null);
+    assert.deepStrictEqual(measurePairAlignment(track(20), []), { matchedRatio: 0, meanTimingErrorMs: null, cueCountRatio: 0 });
+});
+
+test('a hash match with a top rating and no hearing impaired cues scores 100', () => {
+    assert.strictEqual(scoreCandidatePair(perfectFit, {}, { hashMatch: true, rating: 10 }), 100);
+});
+
+test('unrated candidates get half of the rating points and hearing impaired ones lose points', () => {
+    assert.strictEqual(scoreCandidatePair(perfectFit, {}, {}), 80);
+    assert.strictEqual(scoreCandidatePair(perfectFit, { hearingImpaired: true }, { hearingImpaired: true }), 75);
+    assert.strictEqual(scoreCandidatePair(perfectFit, null, { releaseScore: 7, rating: 5 }), 95);
+});
+
+test('a translation that fits the main track outranks a matching release that does not', () => {
+    const main = track(20);
+    const fitting = scoreCandidatePair(measurePairAlignment(main, track(20, 100)), {}, { rating: 6 });
+    const drifting = scoreCandidatePair(measurePairAlignment(main, track(14, 900)), {}, { hashMatch: true, rating: 6 });
+    assert.ok(fitting > drifting, `${fitting} <= ${drifting}`);
+});
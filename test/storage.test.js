@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    sanitizeKey,
+    contentTypeForKey,
+    createFilesystemStorage,
+    createMemoryStorage,
+    createFallbackStorage,
+    createStorage
+} = require('../lib/storage');
+
+const publicBaseUrl = 'http://addon.test/';
+
+test('keeps keys to a safe character set and picks content types by extension', () => {
+    assert.strictEqual(sanitizeKey('tt123:1:2/../merged eng+tur.srt'), 'tt123_1_2_.._merged_eng_tur.srt');
+    assert.strictEqual(contentTypeForKey('a.SRT'), 'text/srt; charset=utf-8');
+    assert.strictEqual(contentTypeForKey('a.ass'), 'text/x-ssa; charset=utf-8');
+    assert.strictEqual(contentTypeForKey('a.vtt'), 'text/vtt; charset=utf-8');
+    assert.strictEqual(contentTypeForKey('a.json'), 'application/json; charset=utf-8');
+    assert.strictEqual(contentTypeForKey('a'), 'text/plain; charset=utf-8');
+});
+
+test('memory storage serves its files under /merged/ and evicts the least recently used', async () => {
+    const storage = createMemoryStorage({ maxItems: 2, publicBaseUrl });
+    assert.strictEqual(await storage.put('a:1.srt', 'first'), 'http://addon.test/merged/a_1.srt');
+    await storage.put('b.srt', 'second');
+    assert.strictEqual(await storage.get('a:1.srt'), 'first');
+    await storage.put('c.srt', 'third');
+    assert.strictEqual(await storage.get('b.srt'), null, 'b was used least recently');
+    assert.strictEqual(await storage.get('a:1.srt'), 'first');
+    assert.strictEqual(await storage.get('c.srt'), 'third');
+    await storage.del('c.srt');
+    await storage.del('missing.srt');
+    assert.strictEqual(await storage.get('c.srt'), null);
+});
+
+test('filesystem storage writes, reads and deletes files in its directory', async (t) => {
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'strelingo-test-'));
+    t.after(() => fs.promises.rm(directory, { recursive: true, force: true }));
+    const storage = createFilesystemStorage({ directory: path.join(directory, 'nested'), publicBaseUrl });
+
+    assert.strictEqual(await storage.put('tt1:eng.srt', 'content'), 'http://addon.test/merged/tt1_eng.srt');
+    assert.strictEqual(await fs.promises.readFile(path.join(directory, 'nested', 'tt1_eng.srt'), 'utf8'), 'content');
+    assert.strictEqual(await storage.get('tt1:eng.srt'), 'content');
+    await storage.del('tt1:eng.srt');
+    await storage.del('tt1:eng.srt');
+    assert.strictEqual(await storage.get('tt1:eng.srt'), null);
+});
+
+test('fallback storage uses the next adapter when one fails', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    const broken = {
+        name: 'broken',
+        servesLocally: false,
+        put: async () => { throw new Error('upload failed'); },
+        get: async () => 'remote copy',
+        del: async () => { throw new Error('delete failed'); }
+    };
+    const memory = createMemoryStorage({ publicBaseUrl });
+    const storage = createFallbackStorage([broken, memory]);
+
+    assert.strictEqual(storage.name, 'broken -> memory');
+    assert.strictEqual(storage.servesLocally, true);
+    assert.strictEqual(await storage.put('a.srt', 'local copy'), 'http://addon.test/merged/a.srt');
+    assert.strictEqual(await storage.get('a.srt'), 'remote copy', 'reads ask the adapters in order');
+    assert.strictEqual(await storage.serve('a.srt'), 'local copy', 'only local adapters are served');
+    await storage.del('a.srt');
+    assert.strictEqual(await memory.get('a.srt'), null, 'a failed delete does not stop the others');
+
+    await assert.rejects(createFallbackStorage([broken]).put('a.srt', 'x'), /upload failed/);
+});
+
+test('builds the chain from STORAGE_BACKEND and falls back to memory', (t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    assert.strictEqual(createStorage({ STORAGE_BACKEND: 'memory, fs', STORAGE_DIR: os.tmpdir() }).name, 'memory -> filesystem');
+    assert.strictEqual(createStorage({ STORAGE_BACKEND: 'supabase,unknown' }).name, 'memory');
+    assert.strictEqual(createStorage({}).name, 'filesystem');
+});